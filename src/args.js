@@ -0,0 +1,220 @@
+import { suggest } from "./config.js";
+import { BuildSizesError } from "./errors.js";
+
+/**
+ * Get the short alias of a flag, which is the first character of its name
+ * unless specified otherwise. Flags without an alias have `short: false`.
+ *
+ * @private
+ * @param {string} flag - The name of the flag.
+ * @param {object} info - The flag's info, see the CLI's FLAG_INFO.
+ * @returns {string|null} The short alias, without the dash.
+ */
+function getShortFlag(flag, info) {
+  if (info.short === false) return null;
+  return info.short || flag.charAt(0);
+}
+
+/**
+ * Parse command line arguments into a command, its flags, and its positional
+ * arguments. Supports:
+ *
+ * - long flags with a value, e.g. `--decimals=1` or `--decimals 1`
+ * - short flags with a value, e.g. `-d=1`, `-d1`, or `-d 1`
+ * - grouped short flags, e.g. `-lb` for `--loader --binary`
+ * - negated flags, e.g. `--no-loader` or `--no-budget`
+ * - repeated flags, which are collected when the flag is `multiple`
+ * - the `--` terminator, after which every argument is positional
+ *
+ * Flags with an `optional` value, e.g. `--top`, are `true` unless they have a
+ * value. A value in the next argument must match the flag's `pattern` (if
+ * any), otherwise it has to be attached with an equals sign or directly after
+ * a short flag, since it could be a positional argument.
+ *
+ * @private
+ * @param {string[]} args - The command line arguments, without node and the
+ *   script path.
+ * @param {object} flagInfo - The flags, see the CLI's FLAG_INFO.
+ * @param {object} commandInfo - The commands, see the CLI's COMMAND_INFO.
+ *   The first command is the default.
+ * @returns {ParsedArgs} The parsed arguments.
+ * @throws {BuildSizesError} With the `INVALID_ARGUMENT` code if a flag is
+ *   unknown, can't be used with the command, or has an invalid value.
+ */
+function parseArgs(args, flagInfo, commandInfo) {
+  const commands = Object.keys(commandInfo);
+  const rest = [...args];
+  const command = commands.includes(rest[0]) ? rest.shift() : commands[0];
+  const { flags: allowed } = commandInfo[command];
+
+  const shorts = Object.fromEntries(
+    Object.entries(flagInfo)
+      .map(([flag, info]) => [getShortFlag(flag, info), flag])
+      .filter(([short]) => short),
+  );
+
+  const flags = {};
+  const positionals = [];
+
+  // a value can't be the next flag, but a lone dash is a value
+  const isFlag = (arg) => arg !== undefined && /^-./.test(arg);
+
+  const fail = (message) => {
+    throw new BuildSizesError("INVALID_ARGUMENT", message);
+  };
+
+  const unknown = (flag, option) => {
+    const suggestion = suggest(flag, Object.keys(flagInfo));
+    fail(
+      `Unknown option "${option}".${suggestion ? ` Did you mean "--${suggestion}"?` : ""}`,
+    );
+  };
+
+  const set = (flag, value) => {
+    const info = flagInfo[flag];
+
+    if (allowed && !allowed.includes(flag)) {
+      fail(`The --${flag} option can't be used with "${command}".`);
+    }
+
+    if (value !== false && info.choices && !info.choices.includes(value)) {
+      fail(
+        `Invalid value "${value}" for --${flag}. Use one of: ${info.choices.join(", ")}`,
+      );
+    }
+
+    // flags with a numeric default only accept integers
+    if (typeof info.default === "number" && !Number.isInteger(Number(value))) {
+      fail(`Invalid value "${value}" for --${flag}, expected an integer.`);
+    }
+
+    flags[flag] =
+      info.multiple && value !== false
+        ? [].concat(flags[flag] || [], value)
+        : value;
+  };
+
+  // the next argument is the value of an optional flag, unless it's missing
+  const optionalValue = (flag, option, next) => {
+    if (next === undefined || next === "--" || isFlag(next)) return undefined;
+
+    const { pattern } = flagInfo[flag];
+    if (!pattern || pattern.test(next)) return next;
+
+    fail(
+      `Invalid value "${next}" for ${option}. Attach the value with an equals sign, e.g. ${option}=<value>, or move the flag after the positional arguments to use it without a value.`,
+    );
+  };
+
+  // booleans can be set explicitly, e.g. --binary=false
+  const toBoolean = (flag, value) => {
+    if (["true", "1", ""].includes(value)) return true;
+    if (["false", "0"].includes(value)) return false;
+    fail(`Invalid value "${value}" for --${flag}, expected a boolean.`);
+  };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+
+    if (arg === "--") {
+      positionals.push(...rest.slice(i + 1));
+      break;
+    }
+
+    if (arg === "-h" || arg === "--help") {
+      flags.help = true;
+    } else if (arg.startsWith("--")) {
+      const [name, ...parts] = arg.slice(2).split("=");
+      // values can contain equals signs too, e.g. --exclude=a=b
+      const inline = parts.length ? parts.join("=") : undefined;
+
+      if (!(name in flagInfo) && name.startsWith("no-")) {
+        const flag = name.slice(3);
+        const info = flagInfo[flag];
+        if (!info) unknown(flag, `--${name}`);
+
+        if (!(info.boolean || info.optional || info.negatable)) {
+          fail(`The --${flag} option can't be negated.`);
+        }
+        if (inline !== undefined) {
+          fail(`The --no-${flag} option doesn't take a value.`);
+        }
+
+        set(flag, false);
+        continue;
+      }
+
+      const info = flagInfo[name];
+      if (!info) unknown(name, `--${name}`);
+
+      if (info.boolean) {
+        set(name, inline === undefined ? true : toBoolean(name, inline));
+      } else if (inline !== undefined) {
+        set(name, inline);
+      } else if (info.optional) {
+        const value = optionalValue(name, `--${name}`, rest[i + 1]);
+        set(name, value === undefined ? true : rest[(i += 1)]);
+      } else if (i + 1 < rest.length && !isFlag(rest[i + 1])) {
+        set(name, rest[(i += 1)]);
+      } else {
+        fail(`The --${name} option requires a value.`);
+      }
+    } else if (isFlag(arg)) {
+      // short flags can be grouped, and the last one can have a value
+      const group = arg.slice(1);
+
+      for (let j = 0; j < group.length; j++) {
+        const short = group[j];
+        if (short === "h") {
+          flags.help = true;
+          continue;
+        }
+
+        const flag = shorts[short];
+        if (!flag) unknown(short, `-${short}`);
+
+        const info = flagInfo[flag];
+        // the rest of the group is the value, e.g. -d1 or -d=1
+        const attached = group.slice(j + 1).replace(/^=/, "");
+
+        if (info.boolean) {
+          if (group[j + 1] === "=") {
+            set(flag, toBoolean(flag, attached));
+            break;
+          }
+          set(flag, true);
+        } else {
+          if (attached) {
+            set(flag, attached);
+          } else if (info.optional) {
+            const value = optionalValue(flag, `-${short}`, rest[i + 1]);
+            set(flag, value === undefined ? true : rest[(i += 1)]);
+          } else if (i + 1 < rest.length && !isFlag(rest[i + 1])) {
+            set(flag, rest[(i += 1)]);
+          } else {
+            fail(`The -${short} (--${flag}) option requires a value.`);
+          }
+          break;
+        }
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  return { command, flags, positionals };
+}
+
+/**
+ * The result of parsing the command line arguments.
+ *
+ * @private
+ * @typedef {object} ParsedArgs
+ * @property {string} command - The command, e.g. "report" or "compare".
+ * @property {object} flags - The flags (as keys) and their values, where
+ *   negated flags are `false`. Includes `help` when it was requested.
+ * @property {string[]} positionals - The arguments that aren't flags, e.g.
+ *   the build paths.
+ */
+
+export { getShortFlag, parseArgs };
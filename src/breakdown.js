@@ -0,0 +1,233 @@
+import { relative, resolve } from "node:path";
+import {
+  getExtension,
+  isCompressible,
+  parseCompression,
+} from "./compression.js";
+import { toBuildSizesError } from "./errors.js";
+import { getFiles } from "./files.js";
+import { compressFiles } from "./pool.js";
+
+/**
+ * The asset categories and the file extensions they include. Files with an
+ * extension that isn't listed are categorized as "other".
+ *
+ * @private
+ */
+const CATEGORIES = {
+  scripts: ["js", "mjs", "cjs", "jsx", "wasm"],
+  styles: ["css"],
+  images: [
+    "png",
+    "jpg",
+    "jpeg",
+    "gif",
+    "webp",
+    "avif",
+    "svg",
+    "ico",
+    "bmp",
+    "tif",
+    "tiff",
+  ],
+  fonts: ["woff", "woff2", "ttf", "otf", "eot"],
+  sourcemaps: ["map"],
+  html: ["html", "htm"],
+};
+
+const getCategory = (extension) =>
+  Object.keys(CATEGORIES).find((category) =>
+    CATEGORIES[category].includes(extension),
+  ) || "other";
+
+/**
+ * Determine the raw, gzip, and brotli size of each file in a build directory,
+ * sorted from largest to smallest. Useful for seeing what dominates the build.
+ *
+ * @since v3.3.0
+ * @param {string} buildPath - The path to the build directory.
+ * @param {object} [options] - The report options, which also accepts the
+ *   {@link FileFilterOptions} glob patterns.
+ * @param {number} [options.top] - Only compress and report the N largest
+ *   files, which is much faster for big builds.
+ * @param {CompressionOptions|string} [options.compression] - The gzip and
+ *   brotli settings, see {@link parseCompression}.
+ * @param {number} [options.concurrency] - The maximum number of files that
+ *   are compressed in parallel, defaults to the number of CPUs.
+ * @param {boolean|string} [options.cache] - Cache the compressed sizes by
+ *   file contents, see {@link getBuildSizes}.
+ * @returns {Promise<FileSizes[]>} The size of each file.
+ * @throws {BuildSizesError} If the build can't be measured.
+ */
+async function getFileReport(buildPath, options = {}) {
+  try {
+    const compression = parseCompression(options.compression);
+    const build = resolve(process.cwd(), buildPath);
+    const buildFiles = await getFiles(build, options);
+    const buildSize = buildFiles.reduce((count, file) => count + file.size, 0);
+
+    const largest = [...buildFiles].sort((a, b) => b.size - a.size);
+    const files = options.top ? largest.slice(0, options.top) : largest;
+
+    const compressed = await compressFiles(
+      files.map((file) => file.path),
+      { gzip: compression.gzip, brotli: compression.brotli },
+      options,
+    );
+
+    return files.map((file, index) => ({
+      name: file.name,
+      path: relative(build, file.path),
+      size: file.size,
+      sizeGzip: compressed[index].gzip,
+      sizeBrotli: compressed[index].brotli,
+      share: buildSize ? (file.size / buildSize) * 100 : 0,
+    }));
+  } catch (err) {
+    throw toBuildSizesError(
+      err,
+      "BUILD_READ_FAILED",
+      `Unable to get the file report of: ${resolve(buildPath)}`,
+      resolve(buildPath),
+    );
+  }
+}
+
+/**
+ * Aggregate the sizes of a build directory by asset category (scripts, styles,
+ * images, fonts, source maps, HTML, and other) and by file extension.
+ *
+ * @since v3.3.0
+ * @param {string} buildPath - The path to the build directory.
+ * @param {object} [options] - The report options, which also accepts the
+ *   {@link FileFilterOptions} glob patterns.
+ * @param {CompressibleRules} [options.compressible] - Overrides for the rules
+ *   that determine which files are compressed.
+ * @param {CompressionOptions|string} [options.compression] - The gzip and
+ *   brotli settings, see {@link parseCompression}.
+ * @param {number} [options.concurrency] - The maximum number of files that
+ *   are compressed in parallel, defaults to the number of CPUs.
+ * @param {boolean|string} [options.cache] - Cache the compressed sizes by
+ *   file contents, see {@link getBuildSizes}.
+ * @returns {Promise<TypeReport>} The sizes of each category and extension.
+ * @throws {BuildSizesError} If the build can't be measured.
+ */
+async function getTypeReport(buildPath, options = {}) {
+  try {
+    const compression = parseCompression(options.compression);
+    const build = resolve(process.cwd(), buildPath);
+    const buildFiles = await getFiles(build, options);
+    const buildSize = buildFiles.reduce((count, file) => count + file.size, 0);
+
+    const categories = new Map();
+    const extensions = new Map();
+
+    const add = (groups, name, category, file, compressed) => {
+      const group = groups.get(name) || {
+        name,
+        category,
+        count: 0,
+        size: 0,
+        sizeGzip: 0,
+        sizeBrotli: 0,
+        compressedCount: 0,
+      };
+
+      group.count += 1;
+      group.size += file.size;
+      // incompressible files are transferred at their raw size
+      group.sizeGzip += compressed ? compressed.gzip : file.size;
+      group.sizeBrotli += compressed ? compressed.brotli : file.size;
+      if (compressed) group.compressedCount += 1;
+
+      groups.set(name, group);
+    };
+
+    const compressible = buildFiles.filter((file) =>
+      isCompressible(file, options.compressible),
+    );
+    const compressed = await compressFiles(
+      compressible.map((file) => file.path),
+      { gzip: compression.gzip, brotli: compression.brotli },
+      options,
+    );
+    const compressedSizes = new Map(
+      compressible.map((file, index) => [file, compressed[index]]),
+    );
+
+    for (const file of buildFiles) {
+      const extension = getExtension(file.name);
+      const category = getCategory(extension);
+      const sizes = compressedSizes.get(file) || null;
+
+      add(categories, category, category, file, sizes);
+      add(extensions, extension || "(none)", category, file, sizes);
+    }
+
+    // compressed sizes are meaningless when nothing in the group compresses
+    const finalize = (groups) =>
+      [...groups.values()]
+        .map(({ compressedCount, ...group }) => ({
+          ...group,
+          sizeGzip: compressedCount ? group.sizeGzip : null,
+          sizeBrotli: compressedCount ? group.sizeBrotli : null,
+          share: buildSize ? (group.size / buildSize) * 100 : 0,
+        }))
+        .sort((a, b) => b.size - a.size);
+
+    return {
+      categories: finalize(categories),
+      extensions: finalize(extensions),
+    };
+  } catch (err) {
+    throw toBuildSizesError(
+      err,
+      "BUILD_READ_FAILED",
+      `Unable to get the file type report of: ${resolve(buildPath)}`,
+      resolve(buildPath),
+    );
+  }
+}
+
+/**
+ * The sizes of a single file in the build directory.
+ *
+ * @typedef {object} FileSizes
+ * @property {string} name - The file name with type.
+ * @property {string} path - The file path relative to the build directory.
+ * @property {number} size - The uncompressed byte size.
+ * @property {number} sizeGzip - The gzip-compressed byte size.
+ * @property {number} sizeBrotli - The brotli-compressed byte size.
+ * @property {number} share - The percentage of the total build size.
+ * @see {@link getFileReport}
+ */
+
+/**
+ * The aggregated sizes of a group of files, i.e. an asset category or a file
+ * extension. The compressed sizes include incompressible files at their raw
+ * size, since that is how they are transferred.
+ *
+ * @typedef {object} TypeSizes
+ * @property {string} name - The category (e.g. "scripts") or extension (e.g. "js").
+ * @property {string} category - The category the files belong to.
+ * @property {number} count - The number of files.
+ * @property {number} size - The uncompressed byte size of the files.
+ * @property {number|null} sizeGzip - The gzip-compressed byte size of the
+ *   files, or null if none of them are compressible.
+ * @property {number|null} sizeBrotli - The brotli-compressed byte size of the
+ *   files, or null if none of them are compressible.
+ * @property {number} share - The percentage of the total build size.
+ * @see {@link getTypeReport}
+ */
+
+/**
+ * The sizes of a build directory by asset category and file extension, each
+ * sorted from largest to smallest.
+ *
+ * @typedef {object} TypeReport
+ * @property {TypeSizes[]} categories - The sizes of each asset category.
+ * @property {TypeSizes[]} extensions - The sizes of each file extension.
+ * @see {@link getTypeReport}
+ */
+
+export { getFileReport, getTypeReport };
@@ -0,0 +1,87 @@
+import { parseBytes } from "./bytes.js";
+import { BuildSizesError } from "./errors.js";
+
+/**
+ * Check the results from {@link getBuildSizes} against size budgets. Useful for
+ * failing a CI/CD pipeline when the build gets too big.
+ *
+ * @since v3.3.0
+ * @param {BuildSizes} buildSizes - The build sizes to check.
+ * @param {Budgets} budgets - The maximum value allowed for each metric.
+ * @param {boolean} [binary] - The binary or decimal unit conversion used when
+ *   parsing human readable budgets, e.g. "150KB".
+ * @returns {BudgetResult[]} The pass/fail result of each budget.
+ * @throws {BuildSizesError} With the `INVALID_BUDGET` code if a metric isn't
+ *   a numeric build size, or `INVALID_SIZE` if a budget can't be parsed.
+ */
+function checkBudgets(buildSizes, budgets, binary = false) {
+  return Object.entries(budgets).map(([metric, budget]) => {
+    const actual = buildSizes[metric];
+
+    if (typeof actual !== "number") {
+      const metrics = Object.keys(buildSizes).filter(
+        (key) => typeof buildSizes[key] === "number",
+      );
+      throw new BuildSizesError(
+        "INVALID_BUDGET",
+        `Unable to check the budget for "${metric}". Budgets can be set for these metrics: ${metrics.join(", ")}`,
+      );
+    }
+
+    const limit = parseBytes(budget, binary);
+    return { metric, budget: limit, actual, passed: actual <= limit };
+  });
+}
+
+/**
+ * Parse budgets from a comma separated list of `metric:size` pairs, which is
+ * how they are provided on the CLI, e.g.
+ * `"mainBundleSizeBrotli:150KB,buildFileCount:400"`.
+ *
+ * @since v3.3.0
+ * @param {string} budgets - The budgets to parse.
+ * @returns {Budgets} The budgets keyed by metric.
+ * @throws {BuildSizesError} With the `INVALID_BUDGET` code if a budget isn't
+ *   a `metric:size` pair.
+ */
+function parseBudgets(budgets) {
+  return String(budgets)
+    .split(",")
+    .filter((budget) => budget.trim())
+    .reduce((parsed, budget) => {
+      const [metric, size] = budget.split(":").map((part) => part.trim());
+
+      if (!metric || !size) {
+        throw new BuildSizesError(
+          "INVALID_BUDGET",
+          `Invalid budget "${budget}". Use the format "metric:size", e.g. "buildSize:5MB".`,
+        );
+      }
+
+      parsed[metric] = size;
+      return parsed;
+    }, {});
+}
+
+/**
+ * The maximum value allowed for {@link BuildSizes} metrics, keyed by metric.
+ * Byte sizes can be numbers or human readable strings, e.g. "150KB".
+ *
+ * @typedef {Object.<string, (number|string)>} Budgets
+ * @example
+ * { mainBundleSizeBrotli: "150KB", buildSize: "5MB", buildFileCount: 400 }
+ * @see {@link checkBudgets}
+ */
+
+/**
+ * The result of checking a single budget.
+ *
+ * @typedef {object} BudgetResult
+ * @property {string} metric - The {@link BuildSizes} metric that was checked.
+ * @property {number} budget - The maximum value allowed for the metric.
+ * @property {number} actual - The value of the metric.
+ * @property {boolean} passed - Whether the metric is within budget.
+ * @see {@link checkBudgets}
+ */
+
+export { checkBudgets, parseBudgets };
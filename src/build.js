@@ -0,0 +1,227 @@
+import { resolve } from "node:path";
+import { getEntryBundles } from "./bundler.js";
+import {
+  describeCompression,
+  isCompressible,
+  isZstdSupported,
+  parseCompression,
+} from "./compression.js";
+import { getSizeOnDisk } from "./disk.js";
+import { toBuildSizesError } from "./errors.js";
+import {
+  filterFilesByType,
+  getBundlePrefix,
+  getFiles,
+  parseFileTypes,
+} from "./files.js";
+import { compressFiles } from "./pool.js";
+
+/**
+ * Determine metrics related to an application's build size.
+ *
+ * @param {string} buildPath - The path to the build directory.
+ * @param {string|string[]} [bundleFileType] - The file type of bundle, e.g.
+ *   "js", "css", etc. Multiple types can be provided as an array or a comma
+ *   separated string, in which case the first type is the main bundle and the
+ *   others are prefixed by their type (see {@link getBundlePrefix}).
+ * @param {object} [options] - The build size options, which also accepts the
+ *   {@link FileFilterOptions} glob patterns for including and excluding files
+ *   from the totals and the main bundle.
+ * @param {boolean} [options.transfer] - Estimate the total transfer size of
+ *   the build by compressing every compressible file, see `buildSizeGzip`.
+ * @param {CompressibleRules} [options.compressible] - Overrides for the rules
+ *   that determine which files are compressed when estimating transfer size.
+ * @param {CompressionOptions|string} [options.compression] - The compression
+ *   settings, e.g. "gzip:9,brotli:11,zstd". Zstd sizes are only included when
+ *   requested and supported by the running version of Node.
+ * @param {number} [options.concurrency] - The maximum number of files that
+ *   are read or compressed in parallel, defaults to the number of CPUs.
+ * @param {boolean|string} [options.cache] - Cache the compressed sizes by
+ *   file contents, in "node_modules/.cache/build-sizes" or the provided
+ *   directory, so unchanged files aren't compressed again.
+ * @param {string} [options.metafile] - The path to a webpack stats file,
+ *   esbuild metafile, or Vite manifest, relative to the build directory or the
+ *   current working directory. The main bundle of each type is then the entry
+ *   chunk, and its sizes include the chunks it statically imports, instead of
+ *   the largest file (see {@link getEntryReport}).
+ * @param {string} [options.entry] - The name of the main entry point in the
+ *   metafile, which defaults to the entry with the largest bundle.
+ * @returns {Promise<BuildSizes>} The build sizes.
+ * @throws {BuildSizesError} If the build can't be measured, e.g. with the
+ *   `BUILD_NOT_FOUND` code if the build directory doesn't exist.
+ */
+async function getBuildSizes(buildPath, bundleFileType = "js", options = {}) {
+  try {
+    const build = resolve(process.cwd(), buildPath);
+    const buildFiles = await getFiles(build, options);
+    const compression = parseCompression(options.compression);
+    const zstd = compression.zstd && isZstdSupported();
+    const types = parseFileTypes(bundleFileType);
+
+    // the file with the largest size by type, or the entry chunk and the
+    // chunks it statically imports when there's a bundler metadata file
+    const bundleFiles = options.metafile
+      ? await getEntryBundles(build, buildFiles, types, options)
+      : types.map((type) => {
+          const filteredBuildFiles = filterFilesByType(buildFiles, type);
+          return filteredBuildFiles.length
+            ? [
+                filteredBuildFiles.reduce((max, file) =>
+                  max.size > file.size ? max : file,
+                ),
+              ]
+            : [];
+        });
+
+    // bundle sizes compressed using gzip and brotli (and zstd), in parallel
+    const found = [...new Set(bundleFiles.flat())];
+    const compressed = await compressFiles(
+      found.map((file) => file.path),
+      compression,
+      options,
+    );
+
+    const bundles = {};
+    types.forEach((type, index) => {
+      const prefix = getBundlePrefix(type, index);
+      const files = bundleFiles[index];
+      const sizes = files.map((file) => compressed[found.indexOf(file)]);
+      const sum = (values) =>
+        values.reduce((total, value) => total + (value || 0), 0);
+
+      // the bundle is named after the largest file or the entry chunk
+      bundles[`${prefix}Name`] = files.length ? files[0].name : "Not found";
+      bundles[`${prefix}Size`] = sum(files.map((file) => file.size));
+      bundles[`${prefix}SizeGzip`] = sum(sizes.map((size) => size.gzip));
+      bundles[`${prefix}SizeBrotli`] = sum(sizes.map((size) => size.brotli));
+      if (zstd) bundles[`${prefix}SizeZstd`] = sum(sizes.map((s) => s.zstd));
+    });
+
+    // sum of all file sizes
+    const buildSize = buildFiles.reduce((count, file) => count + file.size, 0);
+
+    // the space allocated for the files, which is usually a bit larger
+    const buildSizeOnDisk = await getSizeOnDisk(buildFiles, options);
+
+    const buildFileCount = buildFiles.length;
+
+    // estimated transfer size of every file, which is slow for big builds
+    const transfer = options.transfer
+      ? await getTransferSizes(buildFiles, compression, options)
+      : null;
+
+    // zstd isn't recorded when it was requested but isn't supported
+    const settings = describeCompression({
+      ...compression,
+      zstd: zstd ? compression.zstd : undefined,
+    });
+
+    // the main bundle comes first for backwards compatibility, and the other
+    // bundles come last so existing CSV columns stay in the same order
+    const {
+      mainBundleName,
+      mainBundleSize,
+      mainBundleSizeGzip,
+      mainBundleSizeBrotli,
+      ...otherBundles
+    } = bundles;
+
+    return {
+      mainBundleName,
+      mainBundleSize,
+      mainBundleSizeGzip,
+      mainBundleSizeBrotli,
+      buildSize,
+      buildSizeOnDisk,
+      buildFileCount,
+      ...(transfer && {
+        buildSizeGzip: transfer.gzip,
+        buildSizeBrotli: transfer.brotli,
+      }),
+      ...(transfer && zstd && { buildSizeZstd: transfer.zstd }),
+      ...otherBundles,
+      // record non-default settings, since they change the compressed sizes
+      ...(settings && { compression: settings }),
+    };
+  } catch (err) {
+    throw toBuildSizesError(
+      err,
+      "BUILD_READ_FAILED",
+      `Unable to get the build sizes of: ${resolve(buildPath)}`,
+      resolve(buildPath),
+    );
+  }
+}
+
+/**
+ * Estimate the total transfer size of files, compressing the compressible
+ * files and counting the rest at their raw size.
+ *
+ * @private
+ * @param {File[]} files - The files to transfer.
+ * @param {CompressionOptions} [compression] - The compression settings. The
+ *   zstd size is only estimated when zstd is enabled and supported.
+ * @param {object} [options] - The options of {@link getBuildSizes}, which
+ *   include the `compressible` rules and how the files are compressed.
+ * @returns {Promise<{gzip: number, brotli: number, zstd?: number}>} The
+ *   total transfer size in bytes when using each compression format.
+ */
+async function getTransferSizes(files, compression = {}, options = {}) {
+  const rules = options.compressible;
+  const zstd = compression.zstd && isZstdSupported();
+  const formats = ["gzip", "brotli", ...(zstd ? ["zstd"] : [])];
+
+  const compressible = files.filter((file) => isCompressible(file, rules));
+  const compressed = await compressFiles(
+    compressible.map((file) => file.path),
+    compression,
+    options,
+  );
+
+  // incompressible files are transferred at their raw size
+  const rawSize = files
+    .filter((file) => !isCompressible(file, rules))
+    .reduce((total, file) => total + file.size, 0);
+
+  return Object.fromEntries(
+    formats.map((format) => [
+      format,
+      compressed.reduce((total, sizes) => total + sizes[format], rawSize),
+    ]),
+  );
+}
+
+/**
+ * Information about an application's build sizes. When measuring multiple
+ * bundle types, e.g. "js,css", the other types have the same four bundle
+ * properties prefixed by their type, e.g. "cssBundleName", "cssBundleSize",
+ * "cssBundleSizeGzip", and "cssBundleSizeBrotli" (and "cssBundleSizeZstd").
+ *
+ * @typedef {object} BuildSizes
+ * @property {string} mainBundleName - The name of the largest bundle size by
+ *   type, or the entry chunk when using a bundler's metafile.
+ * @property {number} mainBundleSize - The byte size of the largest bundle file
+ *   by type, or the entry chunk and its static imports when using a metafile.
+ * @property {number} mainBundleSizeGzip - The gzip-compressed byte size of the main bundle file.
+ * @property {number} mainBundleSizeBrotli - The brotli-compressed byte size of the main bundle file.
+ * @property {number} buildSize - The byte size of all files in the build directory.
+ * @property {number} buildSizeOnDisk - The space in bytes allocated on disk for the files in the build directory, which accounts for file system block sizes.
+ * @property {number} buildFileCount - The count of all files in the build directory.
+ * @property {number} [buildSizeGzip] - The estimated byte size of transferring
+ *   the build with gzip compression. Only included with the `transfer` option.
+ * @property {number} [buildSizeBrotli] - The estimated byte size of
+ *   transferring the build with brotli compression. Only included with the
+ *   `transfer` option.
+ * @property {number} [buildSizeZstd] - The estimated byte size of
+ *   transferring the build with zstd compression. Only included with the
+ *   `transfer` option when zstd is enabled.
+ * @property {number} [mainBundleSizeZstd] - The zstd-compressed byte size of
+ *   the main bundle file. Only included when zstd is enabled.
+ * @property {string} [compression] - The compression settings used for the
+ *   compressed sizes, e.g. "gzip:9 brotli:11 mode:text". Only included when
+ *   the defaults are overridden.
+ * @see {@link getBuildSizes}
+ * @see {@link saveBuildSizes}
+ */
+
+export { getBuildSizes };
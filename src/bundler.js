@@ -0,0 +1,327 @@
+import { access, readFile } from "node:fs/promises";
+import { dirname, relative, resolve } from "node:path";
+import { parseCompression } from "./compression.js";
+import { BuildSizesError, toBuildSizesError } from "./errors.js";
+import { filterFilesByType, getFiles } from "./files.js";
+import { compressFiles } from "./pool.js";
+
+const isScript = (chunk) => /\.[cm]?js$/i.test(chunk);
+
+// the esbuild import kinds that are loaded before the importing chunk runs
+const STATIC_IMPORT_KINDS = new Set(["import-statement", "require-call"]);
+
+/**
+ * Determine the raw, gzip, and brotli size of each entry point in a bundler's
+ * metadata file, including the chunks that the entry chunk statically imports,
+ * since they're all loaded before the app starts. Lazy chunks loaded with
+ * dynamic imports aren't included. The metadata can be a webpack stats file
+ * (`webpack --json`), an esbuild metafile, or a Vite manifest.
+ *
+ * @since v3.3.0
+ * @param {string} buildPath - The path to the build directory.
+ * @param {string} metafile - The path to the metadata file, relative to the
+ *   build directory or the current working directory.
+ * @param {object} [options] - The report options, which also accepts the
+ *   {@link FileFilterOptions} glob patterns.
+ * @param {CompressionOptions|string} [options.compression] - The gzip and
+ *   brotli settings, see {@link parseCompression}.
+ * @param {number} [options.concurrency] - The maximum number of files that
+ *   are compressed in parallel, defaults to the number of CPUs.
+ * @param {boolean|string} [options.cache] - Cache the compressed sizes by
+ *   file contents, see {@link getBuildSizes}.
+ * @returns {Promise<EntrySizes[]>} The sizes of each entry point, largest
+ *   first.
+ * @throws {BuildSizesError} With the `INVALID_METAFILE` code if the metadata
+ *   file can't be read, or the `BUILD_READ_FAILED` code if the build can't be
+ *   read.
+ */
+async function getEntryReport(buildPath, metafile, options = {}) {
+  try {
+    const compression = parseCompression(options.compression);
+    const build = resolve(process.cwd(), buildPath);
+    const buildFiles = await getFiles(build, options);
+    const entries = await getEntryFiles(build, buildFiles, metafile);
+
+    // chunks shared by multiple entries are only compressed once
+    const files = [...new Set(entries.flatMap((entry) => entry.files))];
+    const compressed = await compressFiles(
+      files.map((file) => file.path),
+      { gzip: compression.gzip, brotli: compression.brotli },
+      options,
+    );
+    const compressedSizes = new Map(
+      files.map((file, index) => [file, compressed[index]]),
+    );
+
+    return entries
+      .map(({ name, files }) => {
+        const chunks = files.map((file) => ({
+          path: relative(build, file.path),
+          size: file.size,
+          sizeGzip: compressedSizes.get(file).gzip,
+          sizeBrotli: compressedSizes.get(file).brotli,
+        }));
+        const sum = (key) =>
+          chunks.reduce((total, chunk) => total + chunk[key], 0);
+
+        return {
+          name,
+          chunks,
+          size: sum("size"),
+          sizeGzip: sum("sizeGzip"),
+          sizeBrotli: sum("sizeBrotli"),
+        };
+      })
+      .sort((a, b) => b.size - a.size);
+  } catch (err) {
+    throw toBuildSizesError(
+      err,
+      "BUILD_READ_FAILED",
+      `Unable to get the entry report of: ${resolve(buildPath)}`,
+      resolve(buildPath),
+    );
+  }
+}
+
+/**
+ * Find the files of each main bundle with a bundler's metadata file. The main
+ * entry is the one with the `entry` name, or the entry with the largest files
+ * of the first type. Each bundle is the entry chunk of its type, followed by
+ * the chunks of that type that it statically imports.
+ *
+ * @private
+ * @param {string} build - The absolute path of the build directory.
+ * @param {File[]} buildFiles - The files in the build directory.
+ * @param {string[]} types - The file types of the bundles.
+ * @param {object} options - The build size options.
+ * @param {string} options.metafile - The path to the metadata file.
+ * @param {string} [options.entry] - The name of the main entry point.
+ * @returns {Promise<File[][]>} The files of each bundle type, which are empty
+ *   when the main entry doesn't have any files of the type.
+ * @throws {BuildSizesError} With the `INVALID_METAFILE` code if the metadata
+ *   file can't be read or doesn't have the entry.
+ */
+async function getEntryBundles(build, buildFiles, types, options) {
+  const entries = await getEntryFiles(build, buildFiles, options.metafile);
+  const size = (files) => files.reduce((total, file) => total + file.size, 0);
+
+  let main;
+  if (options.entry) {
+    main = entries.find((entry) => entry.name === options.entry);
+
+    if (!main) {
+      throw new BuildSizesError(
+        "INVALID_METAFILE",
+        `The entry "${options.entry}" isn't in the bundler metadata, the entries are: ${entries.map((entry) => entry.name).join(", ")}`,
+        { path: options.metafile },
+      );
+    }
+  } else {
+    main = entries.reduce(
+      (max, entry) =>
+        max &&
+        size(filterFilesByType(max.files, types[0])) >=
+          size(filterFilesByType(entry.files, types[0]))
+          ? max
+          : entry,
+      null,
+    );
+  }
+
+  return types.map((type) => (main ? filterFilesByType(main.files, type) : []));
+}
+
+/**
+ * Read the entry points of a bundler's metadata file and match their chunks
+ * to the build files. Chunks that aren't in the build, e.g. because they're
+ * excluded, are skipped.
+ *
+ * @private
+ * @param {string} build - The absolute path of the build directory.
+ * @param {File[]} buildFiles - The files in the build directory.
+ * @param {string} metafile - The path to the metadata file, relative to the
+ *   build directory or the current working directory.
+ * @returns {Promise<Array<{name: string, files: File[]}>>} The files of each
+ *   entry, starting with the entry chunks.
+ * @throws {BuildSizesError} With the `INVALID_METAFILE` code if the metadata
+ *   file can't be read or isn't from a supported bundler.
+ */
+async function getEntryFiles(build, buildFiles, metafile) {
+  const path = await findMetafile(build, metafile);
+  let metadata;
+
+  try {
+    metadata = JSON.parse(await readFile(path, "utf8"));
+  } catch (err) {
+    throw new BuildSizesError(
+      "INVALID_METAFILE",
+      `Unable to read the bundler metadata file: ${path}`,
+      { cause: err, path },
+    );
+  }
+
+  const entries = parseEntries(metadata);
+  if (!entries) {
+    throw new BuildSizesError(
+      "INVALID_METAFILE",
+      `Unable to find the entry points in the bundler metadata file, which should be a webpack stats file, esbuild metafile, or Vite manifest: ${path}`,
+      { path },
+    );
+  }
+
+  // the chunk paths are relative to the output directory (webpack and Vite)
+  // or the directory esbuild was run in, which is usually the project root
+  const byPath = new Map(buildFiles.map((file) => [file.path, file]));
+  const bases = [...new Set([build, process.cwd(), dirname(path)])];
+  const findFile = (chunk) =>
+    bases.map((base) => byPath.get(resolve(base, chunk))).find(Boolean);
+
+  return entries.map(({ name, chunks }) => ({
+    name,
+    files: [...new Set(chunks.map(findFile).filter(Boolean))],
+  }));
+}
+
+/**
+ * Find a metadata file, which is checked for in the build directory first so
+ * the same relative path works when comparing builds or measuring packages.
+ *
+ * @private
+ * @param {string} build - The absolute path of the build directory.
+ * @param {string} metafile - The path to the metadata file.
+ * @returns {Promise<string>} The absolute path of the metadata file.
+ */
+async function findMetafile(build, metafile) {
+  const inBuild = resolve(build, metafile);
+  const exists = await access(inBuild).then(
+    () => true,
+    () => false,
+  );
+
+  return exists ? inBuild : resolve(process.cwd(), metafile);
+}
+
+/**
+ * Get the chunks of each entry point from the metadata of webpack, esbuild,
+ * or Vite, based on the shape of the metadata.
+ *
+ * @private
+ * @param {object} metadata - The parsed metadata file.
+ * @returns {Array<{name: string, chunks: string[]}>|null} The name and chunk
+ *   paths of each entry, starting with the entry chunks, or null if the
+ *   bundler isn't recognized.
+ */
+function parseEntries(metadata) {
+  if (!metadata || typeof metadata !== "object" || Array.isArray(metadata)) {
+    return null;
+  }
+
+  // esbuild metafile, e.g. { inputs: {...}, outputs: { "dist/main.js": {...} } }
+  if (metadata.outputs && metadata.inputs) {
+    const { outputs } = metadata;
+
+    const visit = (chunk, chunks) => {
+      if (chunks.includes(chunk) || !outputs[chunk]) return chunks;
+      chunks.push(chunk);
+
+      for (const { path, kind } of outputs[chunk].imports || []) {
+        if (STATIC_IMPORT_KINDS.has(kind)) visit(path, chunks);
+      }
+      return chunks;
+    };
+
+    // code splitting gives lazy chunks an entry point too, so the chunks
+    // that are dynamically imported aren't considered entries
+    const lazy = new Set(
+      Object.values(outputs).flatMap((output) =>
+        (output.imports || [])
+          .filter(({ kind }) => kind === "dynamic-import")
+          .map(({ path }) => path),
+      ),
+    );
+
+    return Object.entries(outputs)
+      .filter(([chunk, output]) => output.entryPoint && !lazy.has(chunk))
+      .map(([chunk, output]) => ({
+        name: output.entryPoint,
+        chunks: [
+          chunk,
+          ...(output.cssBundle ? [output.cssBundle] : []),
+          ...visit(chunk, []).slice(1),
+        ],
+      }));
+  }
+
+  // webpack stats, where multi-compiler builds have a stats object per child
+  const stats = metadata.entrypoints
+    ? [metadata]
+    : (metadata.children || []).filter((child) => child.entrypoints);
+
+  if (stats.length) {
+    return stats.flatMap((child) =>
+      Object.entries(child.entrypoints).map(([name, entrypoint]) => ({
+        name,
+        // the entry chunk is loaded last, after the runtime and split chunks,
+        // and its scripts are listed before its styles
+        chunks: (entrypoint.assets || [])
+          .map((asset) => (typeof asset === "string" ? asset : asset.name))
+          .reverse()
+          .sort((a, b) => isScript(b) - isScript(a)),
+      })),
+    );
+  }
+
+  // Vite manifest, e.g. { "src/main.ts": { file: "assets/main-4f3a.js", ... } }
+  const chunks = Object.values(metadata);
+  if (
+    chunks.length &&
+    chunks.every((chunk) => chunk && typeof chunk.file === "string")
+  ) {
+    const visit = (key, files, seen) => {
+      const chunk = metadata[key];
+      if (seen.has(key) || !chunk) return files;
+      seen.add(key);
+
+      files.push(chunk.file, ...(chunk.css || []));
+      for (const imported of chunk.imports || []) visit(imported, files, seen);
+      return files;
+    };
+
+    return Object.entries(metadata)
+      .filter(([, chunk]) => chunk.isEntry)
+      .map(([key, chunk]) => ({
+        name: chunk.name || key,
+        chunks: visit(key, [], new Set()),
+      }));
+  }
+
+  return null;
+}
+
+/**
+ * The sizes of a chunk that an entry point loads.
+ *
+ * @typedef {object} ChunkSizes
+ * @property {string} path - The chunk's path relative to the build directory.
+ * @property {number} size - The uncompressed byte size.
+ * @property {number} sizeGzip - The gzip-compressed byte size.
+ * @property {number} sizeBrotli - The brotli-compressed byte size.
+ * @see {@link getEntryReport}
+ */
+
+/**
+ * The sizes of an entry point and the chunks it statically imports.
+ *
+ * @typedef {object} EntrySizes
+ * @property {string} name - The name of the entry, e.g. "main" for webpack or
+ *   the source file for esbuild and Vite.
+ * @property {ChunkSizes[]} chunks - The entry chunks, followed by the chunks
+ *   they statically import.
+ * @property {number} size - The uncompressed byte size of the chunks.
+ * @property {number} sizeGzip - The gzip-compressed byte size of the chunks.
+ * @property {number} sizeBrotli - The brotli-compressed byte size of the
+ *   chunks.
+ * @see {@link getEntryReport}
+ */
+
+export { getEntryBundles, getEntryReport };
@@ -0,0 +1,73 @@
+import { BuildSizesError } from "./errors.js";
+
+/**
+ * Format bytes to a human readable size.
+ *
+ * @since v2.1.0
+ * @param {number} bytes - The bytes to format.
+ * @param {number} [decimals] - The decimal precision for rounding.
+ * @param {boolean} [binary] - The binary or decimal unit conversion.
+ * @returns {string} The human readable file size with units.
+ * @throws {BuildSizesError} With the `INVALID_SIZE` code if the inputs can't
+ *   be formatted, e.g. a negative number of decimals.
+ */
+function formatBytes(bytes, decimals = 2, binary = false) {
+  try {
+    if (!bytes) {
+      return "0 B";
+    }
+
+    const k = binary ? 1024 : 1000;
+    const n = Math.floor(
+      binary ? Math.log10(bytes) / 3 : Math.log2(bytes) / 10,
+    );
+
+    // I prefer human readable sizes, don't like it? byte me!
+    const value = (bytes / Math.pow(k, n)).toFixed(decimals);
+    const unit = `${"KMGTPEZY"[n - 1] || ""}B`;
+    return `${value} ${unit}`;
+  } catch (err) {
+    throw new BuildSizesError(
+      "INVALID_SIZE",
+      `Unable to format ${bytes} bytes with ${decimals} decimals (binary: ${binary}).`,
+      { cause: err },
+    );
+  }
+}
+
+/**
+ * Parse a human readable size, e.g. "150KB" or "1.5 MiB", into bytes. This is
+ * the inverse of {@link formatBytes}. Numbers are assumed to be bytes already.
+ *
+ * @since v3.3.0
+ * @param {number|string} size - The size to parse.
+ * @param {boolean} [binary] - The binary or decimal unit conversion. Units
+ *   with an "i" (KiB, MiB, etc.) are always binary.
+ * @returns {number} The size in bytes.
+ * @throws {BuildSizesError} With the `INVALID_SIZE` code if the size can't be
+ *   parsed.
+ */
+function parseBytes(size, binary = false) {
+  if (typeof size === "number" && Number.isFinite(size)) {
+    return size;
+  }
+
+  const match = String(size)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?|\.\d+)\s*(?:([KMGTPEZY])(i)?)?B?$/i);
+
+  if (!match) {
+    throw new BuildSizesError(
+      "INVALID_SIZE",
+      `Unable to parse size "${size}". Use a number of bytes or a number with units, e.g. "150KB".`,
+    );
+  }
+
+  const [, value, unit, binaryUnit] = match;
+  const k = binary || binaryUnit ? 1024 : 1000;
+  const n = unit ? "KMGTPEZY".indexOf(unit.toUpperCase()) + 1 : 0;
+
+  return Math.round(Number(value) * Math.pow(k, n));
+}
+
+export { formatBytes, parseBytes };
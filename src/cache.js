@@ -0,0 +1,185 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+
+/**
+ * The directory of the compression cache when a path isn't provided, which is
+ * where other tools keep their caches and is usually ignored by git.
+ *
+ * @private
+ */
+const DEFAULT_CACHE_DIR = "node_modules/.cache/build-sizes";
+
+const CACHE_FILE = "compression.json";
+
+// the least recently used entries are evicted beyond this many
+const MAX_ENTRIES = 50000;
+
+// the libraries whose versions can change the compressed sizes, which are
+// undefined in process.versions when Node doesn't include them, e.g. zstd
+const LIBRARIES = ["zlib", "brotli", "zstd"];
+
+// the library versions of the running Node
+const getLibraryVersions = () =>
+  Object.fromEntries(LIBRARIES.map((name) => [name, process.versions[name]]));
+
+// caches that have been loaded, keyed by directory, so that parallel calls
+// (e.g. when comparing builds) and subsequent calls share the same entries
+const caches = new Map();
+
+// distinguishes the temporary files of concurrent saves
+let saves = 0;
+
+/**
+ * Open the compression cache, which stores compressed sizes keyed by the
+ * content hash of a file and the compression settings. The cache is discarded
+ * when the zlib, brotli, or zstd version changes, since that can change the
+ * sizes.
+ *
+ * @private
+ * @param {boolean|string} cache - True to use the default directory, or the
+ *   path to a directory for the cache.
+ * @returns {Promise<CompressionCache>} The cache.
+ */
+async function openCache(cache) {
+  const dir = resolve(cache === true ? DEFAULT_CACHE_DIR : cache);
+
+  if (!caches.has(dir)) {
+    caches.set(
+      dir,
+      readCache(dir).then((entries) => createCache(dir, entries)),
+    );
+  }
+
+  return caches.get(dir);
+}
+
+/**
+ * Read the entries of a cache directory.
+ *
+ * @private
+ * @param {string} dir - The cache directory.
+ * @returns {Promise<Map<string, number>>} The cached sizes, least recently
+ *   used first. Empty if the cache doesn't exist or is outdated.
+ */
+async function readCache(dir) {
+  try {
+    const data = JSON.parse(await readFile(join(dir, CACHE_FILE), "utf8"));
+    const versions = getLibraryVersions();
+
+    if (LIBRARIES.every((name) => data[name] === versions[name])) {
+      return new Map(Object.entries(data.entries));
+    }
+  } catch {
+    // a missing or corrupt cache is rebuilt from scratch
+  }
+
+  return new Map();
+}
+
+/**
+ * Create the interface of a cache, which saves its entries to disk.
+ *
+ * @private
+ * @param {string} dir - The cache directory.
+ * @param {Map<string, number>} entries - The cached sizes.
+ * @returns {CompressionCache} The cache.
+ */
+function createCache(dir, entries) {
+  let warned = false;
+
+  return {
+    get(key) {
+      const size = entries.get(key);
+      if (size === undefined) return undefined;
+
+      // move the entry to the end, so it's evicted last
+      entries.delete(key);
+      entries.set(key, size);
+      return size;
+    },
+
+    set(key, size) {
+      entries.delete(key);
+      entries.set(key, size);
+    },
+
+    async save() {
+      const file = join(dir, CACHE_FILE);
+      const temp = `${file}.${process.pid}-${(saves += 1)}.tmp`;
+      const kept = [...entries].slice(-MAX_ENTRIES);
+
+      try {
+        await mkdir(dir, { recursive: true });
+        // write to a temporary file first so the cache is never half written
+        await writeFile(
+          temp,
+          JSON.stringify({
+            ...getLibraryVersions(),
+            entries: Object.fromEntries(kept),
+          }),
+        );
+        await rename(temp, file);
+      } catch (err) {
+        // the sizes are still correct, they just aren't cached
+        if (!warned) {
+          warned = true;
+          console.warn(
+            `Unable to save the compression cache to ${dir}\n`,
+            err.message,
+            "\n",
+          );
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Hash the contents of a file.
+ *
+ * @private
+ * @param {string} path - The path of the file.
+ * @returns {Promise<string>} The SHA-256 hash as hex.
+ */
+const hashFile = (path) =>
+  readFile(path).then((data) =>
+    createHash("sha256").update(data).digest("hex"),
+  );
+
+/**
+ * Create an in-memory cache for a single measurement, so the reports of a CLI
+ * run share the files of each build directory and the compressed size of each
+ * file per setting, instead of reading the build and compressing the same
+ * files for every report. It's passed to {@link getFiles} and
+ * {@link compressFiles} as the `memo` option, and shouldn't outlive the
+ * measurement since the files can change, e.g. in watch mode.
+ *
+ * @private
+ * @returns {Memo} The empty memo.
+ */
+const createMemo = () => ({ files: new Map(), sizes: new Map() });
+
+/**
+ * A cache of compressed file sizes.
+ *
+ * @private
+ * @typedef {object} CompressionCache
+ * @property {function(string): number|undefined} get - Get a cached size.
+ * @property {function(string, number): void} set - Cache a size.
+ * @property {function(): Promise<void>} save - Save the cache to disk.
+ */
+
+/**
+ * The files and compressed sizes of a single measurement.
+ *
+ * @private
+ * @typedef {object} Memo
+ * @property {Map<string, Promise<File[]>>} files - The files of each build
+ *   directory, keyed by the directory and the file filters.
+ * @property {Map<string, number>} sizes - The compressed sizes, keyed by the
+ *   file path, format, and zlib options.
+ * @see {@link createMemo}
+ */
+
+export { createMemo, hashFile, openCache };
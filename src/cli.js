@@ -1,6 +1,74 @@
 #!/usr/bin/env node
 
-import { formatBytes, getBuildSizes, help, saveBuildSizes } from "./index.js";
+import { readFile } from "node:fs/promises";
+import { extname } from "node:path";
+import {
+  BuildSizesError,
+  checkBudgets,
+  compareBuildSizes,
+  diffBuildSizes,
+  findBuildSizesByCommit,
+  getBuildSizes,
+  getBuildSizeTrends,
+  getEntryReport,
+  getFileReport,
+  getSourceMapReport,
+  getTypeReport,
+  isZstdSupported,
+  parseBudgets,
+  parseCompression,
+  parseFileTypes,
+  readBuildSizes,
+  saveBuildSizes,
+} from "./index.js";
+import { getShortFlag, parseArgs } from "./args.js";
+import { createMemo } from "./cache.js";
+import { loadConfig, validateConfig } from "./config.js";
+import { resolveCommit } from "./git.js";
+import { OUTFILE_FORMATS } from "./history.js";
+import { REPORTERS, reportHistory, savedLabel } from "./reporters.js";
+import { watchBuild } from "./watch.js";
+import {
+  expandBuildPaths,
+  getPackageInfo,
+  getWorkspaceBuildPaths,
+} from "./workspaces.js";
+
+// the first command is the default, and commands without a list of flags
+// accept all of them
+const COMMAND_INFO = {
+  report: {
+    usage: "[report] <path...>",
+    description:
+      "Log the build sizes of one or more build directories or glob patterns (default command)",
+  },
+  compare: {
+    usage: "compare <base-path> <head-path>",
+    description:
+      "Compare two build directories and log the differences, or compare a build directory with the build sizes saved for a commit with --commit",
+  },
+  history: {
+    usage: "history [outfile]",
+    description:
+      "Log the trends and largest regressions of the build sizes saved by --outfile",
+    flags: [
+      "binary",
+      "commit",
+      "decimals",
+      "format",
+      "last",
+      "outfile",
+      "outfile-format",
+      "package",
+      "config",
+    ],
+  },
+  check: {
+    usage: "check <path...>",
+    description:
+      "Check the build sizes against the size budgets without saving them, exits with code 1 if any are exceeded",
+  },
+};
 
 const FLAG_INFO = {
   loader: {
@@ -18,15 +86,140 @@ const FLAG_INFO = {
     default: 2,
   },
   filetype: {
-    description: "Filetype of the main bundle",
+    description:
+      "Filetype of the main bundle, multiple types can be comma separated",
     default: "js",
   },
   outfile: {
-    description: "Path to a file for saving build sizes as CSV data",
+    description:
+      "Path to a file for saving build sizes as CSV data, or as JSON Lines when the file extension is .jsonl",
+    negatable: true,
+  },
+  "outfile-format": {
+    short: false,
+    description: `Format of the outfile, one of: ${OUTFILE_FORMATS.join(", ")} (default is detected by the file extension)`,
+    choices: OUTFILE_FORMATS,
+  },
+  transfer: {
+    short: false,
+    description:
+      "Estimate the total transfer size of the build by compressing every compressible file",
+    boolean: true,
+  },
+  compressible: {
+    short: false,
+    description:
+      "Comma separated file extensions or MIME types that are compressed when estimating transfer size (default is text based formats)",
+  },
+  threshold: {
+    short: false,
+    description:
+      "Minimum size of files that are compressed when estimating transfer size (default is 1KB)",
+  },
+  compression: {
+    short: false,
+    description:
+      "Comma separated compression settings, e.g. gzip:9,brotli:11,window:22,mode:text,zstd:19 (zstd requires Node v22.15.0 or later)",
+  },
+  include: {
+    description:
+      "Only measure files matching this glob pattern, can be used multiple times",
+    multiple: true,
+    negatable: true,
+  },
+  exclude: {
+    description:
+      "Don't measure files matching this glob pattern, can be used multiple times",
+    multiple: true,
+    negatable: true,
+  },
+  top: {
+    description:
+      "Log the N largest files with their compressed sizes, or every file if N is omitted",
+    optional: true,
+    pattern: /^\d+$/,
+  },
+  types: {
+    short: "T",
+    description:
+      "Log the sizes of each asset category (scripts, styles, images, etc.) and file extension",
+    boolean: true,
+  },
+  sourcemap: {
+    description:
+      "Attribute the bytes of the main bundles to the npm packages and source directories in their source maps",
+    boolean: true,
+  },
+  metafile: {
+    short: false,
+    description:
+      "Path to a webpack stats file, esbuild metafile, or Vite manifest (relative to the build directory or the current working directory), for measuring the entry chunks and their static imports instead of the largest files",
+  },
+  entry: {
+    short: false,
+    description:
+      "Name of the entry point in the --metafile that is the main bundle (default is the entry with the largest bundle)",
+  },
+  format: {
+    short: "F",
+    description: `Output format, one of: ${Object.keys(REPORTERS).join(", ")}`,
+    default: "console",
+    choices: Object.keys(REPORTERS),
+  },
+  budget: {
+    short: "B",
+    description:
+      "Comma separated metric:size pairs, exits with code 1 if any are exceeded",
+    negatable: true,
+  },
+  concurrency: {
+    short: "C",
+    description:
+      "Maximum number of files that are read or compressed in parallel (default is the number of CPUs)",
+  },
+  cache: {
+    short: false,
+    description:
+      "Cache compressed sizes by file contents so unchanged files aren't compressed again, optionally in this directory (default is node_modules/.cache/build-sizes)",
+    optional: true,
+  },
+  config: {
+    description:
+      "Path to a config file (default is build-sizes.config.{js,mjs,json} or the buildSizes key in package.json), or --no-config to ignore config files",
+    negatable: true,
+  },
+  last: {
+    short: "n",
+    description:
+      "Number of recent builds used for the trends of the history command",
+    default: 10,
+  },
+  commit: {
+    short: false,
+    description:
+      "Commit SHA or git ref of the build sizes saved by --outfile, which the compare command compares with and the history command logs",
+  },
+  workspaces: {
+    short: false,
+    description:
+      "Measure the build directory of every workspace package defined in package.json or pnpm-workspace.yaml, where the path is relative to each package (default is dist)",
+    boolean: true,
+  },
+  package: {
+    short: false,
+    description:
+      "Name of the package whose saved build sizes are used, when the outfile has the builds of multiple packages",
+  },
+  watch: {
+    description:
+      "Measure the build again whenever it changes, showing the differences from the previous and first measurement",
+    boolean: true,
   },
   path: {
-    description: "Path to the build directory (also available as argument)",
+    description:
+      "Path to the build directory (also available as argument), can be used multiple times",
     required: true,
+    multiple: true,
   },
 };
 
@@ -74,128 +267,645 @@ const toggleLoadingAnimation = (() => {
   };
 })();
 
-// bold and underline text using ansi codes
-const underline = (text) => `\x1b[4m${text}\x1b[0m`;
-// const bold = (text) => `\u001b[1m${text}\x1b[0m`;
-
 (async () => {
   try {
-    const args = process.argv.splice(2);
-    // if requested, provide help and exit asap
-    const needsHelp =
-      !args.length || args.includes("-h") || args.includes("--help");
-    if (needsHelp) help(getUsageMessage());
+    const args = process.argv.slice(2);
+    const { command, flags, positionals } = parseArgs(
+      args,
+      FLAG_INFO,
+      COMMAND_INFO,
+    );
+
+    // if requested, provide help for the command and exit asap
+    if (flags.help) {
+      help(getUsageMessage(args[0] === command ? command : undefined));
+    }
+
+    // flags take precedence over the config file, which takes precedence
+    // over the defaults
+    const loaded =
+      flags.config === false ? null : await loadConfig(flags.config);
+    const config = loaded
+      ? validateConfig(loaded.config, FLAG_INFO, loaded.source)
+      : {};
+    const options = { ...getDefaults(), ...config, ...flags };
+
+    if (command === "history") {
+      return await logHistory(positionals, options);
+    }
+
+    // paths can be cli arguments, an option flag, or in the config file
+    let paths = positionals.length
+      ? positionals
+      : [].concat(options.path).filter(Boolean);
+
+    // the paths are relative to each package of a monorepo
+    if (options.workspaces) {
+      paths = await getWorkspaceBuildPaths(paths.length ? paths : ["dist"]);
+    }
+
+    // quoted glob patterns aren't expanded by the shell, e.g. "packages/*/dist"
+    paths = await expandBuildPaths(paths);
 
-    // parse CLI arguments for option flags
-    const options = parseOptions(args);
+    // provide help when there is nothing to go on
+    if (!paths.length) {
+      help(
+        args.length || loaded
+          ? "Error: The path to the build directory is required."
+          : getUsageMessage(),
+      );
+    }
+
+    // the build sizes saved for a commit, which the build is compared with
+    const saved =
+      command === "compare" && options.commit
+        ? await findSavedBuild(options, options.commit)
+        : null;
+
+    if (command === "compare" && paths.length !== (saved ? 1 : 2)) {
+      help(
+        saved
+          ? "Error: The path to one build directory is required when comparing with a commit."
+          : "Error: The paths to two build directories are required.",
+      );
+    }
+
+    const { format, budget } = options;
+    // checking the budgets shouldn't add to the saved build sizes, and neither
+    // should comparing with them
+    const outfile = command === "check" || saved ? undefined : options.outfile;
+    const outfileFormat = options["outfile-format"];
+    const reporter = REPORTERS[format];
+
+    if (!reporter) {
+      help(
+        `Error: Unknown format "${format}". Use one of:`,
+        Object.keys(REPORTERS).join(", "),
+      );
+    }
 
-    // path can be the first cli argument or an option flag
-    const path = !args[0].startsWith("-")
-      ? args[0]
-      : options["p"] || options["path"];
+    if (options.watch && (command !== "report" || paths.length > 1)) {
+      help(
+        "Error: The --watch option only works with the report command and one build directory.",
+      );
+    }
+
+    // the process doesn't exit while watching, so there's no final build to
+    // save or fail on
+    const unwatchable = ["outfile", "budget"].filter((key) => options[key]);
+    if (options.watch && unwatchable.some((key) => flags[key])) {
+      throw new BuildSizesError(
+        "INVALID_ARGUMENT",
+        `The --watch option can't be used with --${unwatchable.filter((key) => flags[key]).join(" or --")}, since the build sizes aren't saved or checked against budgets while watching.`,
+      );
+    }
 
-    if (!path) help("Error: The path to the build directory is required.");
+    // the config file's values are ignored instead, so the same config file
+    // works with and without --watch
+    if (options.watch && unwatchable.length) {
+      console.warn(
+        `The ${unwatchable.map((key) => `"${key}"`).join(" and ")} config ${unwatchable.length > 1 ? "options are" : "option is"} ignored while watching,`,
+        "since the build sizes aren't saved and budgets don't set the exit code.\n",
+      );
+    }
 
-    const loader = options["l"] || options["loader"];
+    // the animation would corrupt machine readable output on stdout, and
+    // would be redrawn over in watch mode
+    const loader = options.loader && format === "console" && !options.watch;
     loader && toggleLoadingAnimation();
 
-    const binary = options["b"] || options["binary"]; // undefined is falsy
-    const outfile = options["o"] || options["outfile"];
-
-    // set options parsed by flag, otherwise use defaults
-    const type =
-      options["f"] || options["filetype"] || FLAG_INFO["filetype"].default;
-    const decimals =
-      options["d"] || options["decimals"] || FLAG_INFO["decimals"].default;
-
-    const buildSizes = await getBuildSizes(path, type);
-
-    // save build sizes if outfile is provided
-    if (outfile) saveBuildSizes(buildSizes, outfile);
-    const {
-      mainBundleName,
-      mainBundleSize,
-      mainBundleSizeGzip,
-      mainBundleSizeBrotli,
-      buildSize,
-      buildSizeOnDisk,
-      buildFileCount,
-    } = buildSizes;
-
-    // build sizes bytes in human readable format
-    const buildSizeFormatted = formatBytes(buildSize, decimals, binary);
-    const buildOnDiskFormatted = formatBytes(buildSizeOnDisk, decimals, binary);
-    const bundleSizeFormatted = formatBytes(mainBundleSize, decimals, binary);
-    const gzipFormatted = formatBytes(mainBundleSizeGzip, decimals, binary);
-    const brotliFormatted = formatBytes(mainBundleSizeBrotli, decimals, binary);
+    // each build of a monorepo is labeled by its package, whose version is
+    // saved instead of the version in the current working directory
+    const monorepo = !!options.workspaces;
+    // the builds of other multi-path runs are told apart by their path, since
+    // several of them can belong to the same package
+    const multiple = !monorepo && paths.length > 1;
+
+    const types = parseFileTypes(options.filetype);
+    const decimals = Number(options.decimals);
+    const binary = !!options.binary;
+
+    // budgets are a string when provided by flag
+    const budgets =
+      typeof budget === "string" ? parseBudgets(budget) : budget || null;
+
+    if (command === "check" && !budgets) {
+      help(
+        "Error: The check command requires size budgets.",
+        'Use the --budget flag or the "budget" option in a config file.',
+      );
+    }
+
+    // glob patterns for the files that are measured
+    const filters = { include: options.include, exclude: options.exclude };
+
+    // rules for which files are compressed when estimating transfer size
+    const compressible = {
+      ...(options.compressible && {
+        types: [].concat(options.compressible).flatMap((t) => t.split(",")),
+      }),
+      ...(options.threshold !== undefined && { minSize: options.threshold }),
+    };
+
+    // levels for each compression format, and whether to measure zstd
+    const compression = parseCompression(options.compression);
+    if (compression.zstd && !isZstdSupported()) {
+      console.warn(
+        `Node ${process.version} doesn't support zstd compression,`,
+        "zstd sizes will not be measured.\n",
+      );
+    }
+
+    // the number of worker threads used for compression
+    const concurrency =
+      options.concurrency === undefined
+        ? undefined
+        : Number(options.concurrency);
+
+    if (
+      concurrency !== undefined &&
+      !(Number.isInteger(concurrency) && concurrency > 0)
+    ) {
+      help("Error: The concurrency must be a positive integer.");
+    }
+
+    if (options.entry && !options.metafile) {
+      help(
+        "Error: The --entry flag requires a bundler's metadata file.",
+        "Use the --metafile flag to provide one.",
+      );
+    }
+
+    // the bundler's metadata, for finding the entry chunks
+    const entries = options.metafile
+      ? { metafile: options.metafile, entry: options.entry }
+      : {};
+
+    const measure = {
+      ...filters,
+      ...entries,
+      transfer: !!options.transfer,
+      compressible,
+      compression,
+      concurrency,
+      // the cache directory, or true for the default directory
+      cache: options.cache || false,
+    };
+    // the N largest files, or every file when the flag has no value
+    const top =
+      options.top && options.top !== true ? Number(options.top) : undefined;
+
+    if (top !== undefined && !(Number.isInteger(top) && top > 0)) {
+      help("Error: The number of files to log must be a positive integer.");
+    }
+
+    const measureReports = async () => {
+      const reports = [];
+
+      // each build is read once, and each file is compressed once per
+      // setting, however many reports use them
+      const memo = createMemo();
+      const run = { ...measure, memo };
+      const shared = {
+        ...filters,
+        compression,
+        concurrency,
+        cache: measure.cache,
+        memo,
+      };
+
+      if (saved) {
+        const [path] = paths;
+        const base = saved.records[saved.index];
+        const buildSizes = await getBuildSizes(path, types, run);
+        reports.push({
+          path,
+          buildSizes,
+          deltas: diffBuildSizes(base, buildSizes),
+          since: savedLabel(base),
+        });
+      } else if (command === "compare") {
+        const [basePath, headPath] = paths;
+        const { head, deltas, files } = await compareBuildSizes(
+          basePath,
+          headPath,
+          types,
+          run,
+        );
+        reports.push({ path: headPath, buildSizes: head, deltas, files });
+        reports[0].since = basePath;
+      } else {
+        for (const path of paths) {
+          const pkg = monorepo && (await getPackageInfo(path));
+          reports.push({
+            path,
+            ...(pkg && { package: pkg }),
+            buildSizes: await getBuildSizes(path, types, run),
+          });
+        }
+      }
+
+      if (options.top) {
+        for (const report of reports) {
+          report.fileReport = await getFileReport(report.path, {
+            ...shared,
+            top,
+          });
+        }
+      }
+
+      if (options.types) {
+        for (const report of reports) {
+          report.typeReport = await getTypeReport(report.path, {
+            ...shared,
+            compressible,
+          });
+        }
+      }
+
+      if (options.metafile) {
+        for (const report of reports) {
+          report.entryReport = await getEntryReport(
+            report.path,
+            options.metafile,
+            shared,
+          );
+        }
+      }
+
+      if (options.sourcemap) {
+        for (const report of reports) {
+          report.sourceMapReport = await getSourceMapReport(
+            report.path,
+            types,
+            { ...filters, ...entries, memo },
+          );
+        }
+      }
+
+      // check build sizes against budgets if provided
+      for (const report of reports) {
+        report.budgetResults = budgets
+          ? checkBudgets(report.buildSizes, budgets, binary)
+          : [];
+      }
+
+      return reports;
+    };
+
+    const settings = {
+      types,
+      decimals,
+      binary,
+      options: {
+        filetype: types,
+        decimals,
+        binary,
+        outfile,
+        budget,
+        ...filters,
+        // the number of files, or true for every file
+        top: options.top === true || top,
+        types: !!options.types,
+        sourcemap: !!options.sourcemap,
+        ...entries,
+        transfer: !!options.transfer,
+        compressible,
+        compression,
+      },
+      version: await getVersion(),
+    };
+
+    if (options.watch) {
+      return await watchReports(paths[0], measureReports, format, settings);
+    }
+
+    const reports = await measureReports();
+
+    if (outfile) {
+      const history = await readBuildSizes(outfile, { format: outfileFormat });
+
+      for (const report of reports) {
+        // builds without a package are labeled by their path
+        const pkg = monorepo
+          ? {
+              package: report.package ? report.package.name : report.path,
+              version: (report.package && report.package.version) || "",
+            }
+          : {};
+
+        // the last build sizes saved for the package (and path), for showing
+        // what changed
+        const previous = history
+          .filter(
+            (record) =>
+              record.Package === pkg.package &&
+              (!multiple || record.Path === report.path),
+          )
+          .pop();
+        if (previous && !report.deltas) {
+          report.deltas = diffBuildSizes(previous, report.buildSizes);
+          report.since = savedLabel(previous);
+        }
+
+        // JSON Lines records can hold everything that was measured
+        await saveBuildSizes(report.buildSizes, outfile, {
+          format: outfileFormat,
+          ...pkg,
+          ...(multiple && { path: report.path }),
+          details: {
+            tool: { name: "build-sizes", version: settings.version },
+            path: report.path,
+            options: settings.options,
+            ...(report.fileReport && { fileReport: report.fileReport }),
+            ...(report.typeReport && { typeReport: report.typeReport }),
+            ...(report.entryReport && { entryReport: report.entryReport }),
+            ...(report.sourceMapReport && {
+              sourceMapReport: report.sourceMapReport,
+            }),
+            ...(report.budgetResults.length && {
+              budgets: report.budgetResults,
+            }),
+          },
+        });
+      }
+    }
 
     // remove loading animation
     loader && toggleLoadingAnimation();
 
-    // make logs look noice
-    const title = "|> Application Build Sizes <|";
-    const line = "-".repeat(title.length);
-    const bundle = `Main ${type.toUpperCase()} bundle`;
-
-    // gets build size unit by determining char length
-    // byte (B) is 1 char and the rest are 2 (KB, MB, etc.)
-    const sizeUnit = (size) =>
-      size.slice(-size.match(/\s+\S*$/)[0].trim().length);
-
-    // This code smells like a brown bag full of glue...
-    console.log(
-      `\n${line}\n${title}\n${line}`,
-      `\n${underline("Build")}`,
-      "\n --> file count:",
-      buildFileCount,
-      "\n --> size:",
-      // for number syntax highlighting
-      Number(buildSizeFormatted.slice(0, -2)),
-      sizeUnit(buildSizeFormatted),
-      // on disk size uses `du`, which is not supported on Windows
-      buildSizeOnDisk ? "\n --> size on disk:" : "",
-      buildSizeOnDisk ? Number(buildOnDiskFormatted.slice(0, -2)) : "",
-      buildSizeOnDisk ? sizeUnit(buildOnDiskFormatted) : "",
-      `\n${line}`,
-      `\n${underline(bundle)}`,
-      "\n --> name:",
-      mainBundleName,
-      "\n --> size:",
-      Number(bundleSizeFormatted.slice(0, -2)),
-      sizeUnit(bundleSizeFormatted),
-      "\n --> gzip size:",
-      Number(gzipFormatted.slice(0, -2)),
-      sizeUnit(gzipFormatted),
-      "\n --> brotli size:",
-      Number(brotliFormatted.slice(0, -2)),
-      sizeUnit(brotliFormatted),
-      `\n${line}\n`,
+    reporter(reports, settings);
+
+    // fail CI pipelines when the build exceeds a budget
+    const exceeded = reports.some((report) =>
+      report.budgetResults.some((result) => !result.passed),
     );
+    if (exceeded) process.exitCode = 1;
   } catch (err) {
+    // the library's errors are expected, so the stack trace isn't useful
+    if (err instanceof BuildSizesError) {
+      help(
+        `Error: ${err.message}`,
+        ...(err.cause ? ["\n   ", err.cause.message] : []),
+      );
+    }
     help(err);
   }
 })();
 
 /**
- * Parse CLI arguments for option flags.
+ * Print a help message to stderr and exit with code 1.
  *
  * @private
- * @param {Array<string>} args - The command line arguments from node.
- * @returns {Object.<string>} - The flags (as keys) and their values.
+ * @since v3.0.0
+ * @param  {...any} messages - The info to print to stderr.
  */
-function parseOptions(args) {
-  const options = {};
-  args.forEach((arg) => {
-    if (arg.startsWith("-")) {
-      const option = arg.split("=");
-      // remove all leading dashes
-      const flag = option[0].replace(/^-*/, "");
-      // assumes flag is boolean if there is no value specified
-      const value = option.length > 1 ? option[1] : true;
-      options[flag] = value;
+function help(...messages) {
+  messages && console.error(...messages);
+  console.error(
+    "\nAdd the -h or --help flag for usage information when on the CLI.\n",
+    "\nRead the documentation for assistance with the exported functions:",
+    "\nhttps://benelan.github.io/build-sizes/global.html",
+  );
+  process.exit(1);
+}
+
+/**
+ * Measure the build whenever it changes until the process is stopped. The
+ * report is redrawn after each measurement, with the differences from the
+ * previous measurement and from the first measurement of the session.
+ *
+ * @private
+ * @param {string} path - The path to the build directory.
+ * @param {function(): Promise<Report[]>} measureReports - Measures the build.
+ * @param {string} format - The output format, see REPORTERS.
+ * @param {ReportSettings} settings - The formatting options.
+ */
+async function watchReports(path, measureReports, format, settings) {
+  // redrawing would mangle output that's piped or meant for machines
+  const redraw = process.stdout.isTTY && !format.endsWith("json");
+  const time = () => new Date().toLocaleTimeString();
+  let first;
+  let previous;
+
+  const run = async () => {
+    const [report] = await measureReports();
+    const current = { buildSizes: report.buildSizes, time: time() };
+
+    if (previous) {
+      report.deltas = diffBuildSizes(previous.buildSizes, report.buildSizes);
+      report.since = `the previous build at ${previous.time}`;
     }
+    if (first && first !== previous) {
+      report.baseline = {
+        deltas: diffBuildSizes(first.buildSizes, report.buildSizes),
+        since: `the first build at ${first.time}`,
+      };
+    }
+
+    first = first || current;
+    previous = current;
+
+    // clear the screen and scrollback, then move the cursor to the top
+    if (redraw) process.stdout.write("\u001B[2J\u001B[3J\u001B[H");
+    REPORTERS[format]([report], settings);
+  };
+
+  // status messages go to stderr so they don't mix with the reports
+  const waiting = () =>
+    console.error(`Watching ${path} for changes, press Ctrl+C to stop...`);
+
+  // the first measurement fails like any other run of the CLI
+  await run();
+  waiting();
+
+  watchBuild(path, async () => {
+    try {
+      await run();
+    } catch (err) {
+      // the build may be measured while it's half written, so keep watching
+      console.error(
+        `Error: ${err instanceof BuildSizesError ? err.message : err}`,
+      );
+    }
+    waiting();
+  });
+}
+
+/**
+ * Get the version of build-sizes from its package.json file.
+ *
+ * @private
+ * @returns {Promise<string>} The version, or an empty string if not found.
+ */
+const getVersion = () =>
+  readFile(new URL("../package.json", import.meta.url), "utf8")
+    .then((pkg) => JSON.parse(pkg).version)
+    .catch(() => "");
+
+/**
+ * Get the default value of each flag that has one.
+ *
+ * @private
+ * @returns {Object.<string>} - The flags (as keys) and their default values.
+ */
+function getDefaults() {
+  return Object.fromEntries(
+    Object.entries(FLAG_INFO)
+      .filter(([, info]) => "default" in info)
+      .map(([flag, info]) => [flag, info.default]),
+  );
+}
+
+/**
+ * Read the build sizes saved by the --outfile flag. When the builds of
+ * multiple packages were saved, only those of the --package option are used.
+ *
+ * @private
+ * @param {object} options - The merged flags, config, and defaults.
+ * @param {string} outfile - The path of the saved build sizes.
+ * @returns {Promise<SavedBuildSizes[]>} The saved build sizes, oldest first.
+ */
+async function readSavedBuilds(options, outfile) {
+  const records = await readBuildSizes(outfile, {
+    format: options["outfile-format"],
+  });
+
+  if (options.package) {
+    const saved = records.filter(
+      (record) => record.Package === options.package,
+    );
+    if (!saved.length) {
+      help(
+        `Error: No build sizes have been saved for the "${options.package}" package to:\n   `,
+        outfile,
+      );
+    }
+    return saved;
+  }
+
+  // the trends of different packages can't be mixed
+  const packages = [
+    ...new Set(records.map((record) => record.Package).filter(Boolean)),
+  ];
+  if (packages.length > 1) {
+    help(
+      `Error: The build sizes of ${packages.length} packages have been saved to ${outfile}, use the --package option with one of:`,
+      packages.join(", "),
+    );
+  }
+
+  return records;
+}
+
+/**
+ * Find the build sizes saved by the --outfile flag for a commit, exiting when
+ * none were saved.
+ *
+ * @private
+ * @param {object} options - The merged flags, config, and defaults.
+ * @param {string} ref - The commit SHA or a git ref, e.g. "main".
+ * @param {string} [outfile] - The path of the saved build sizes, which
+ *   defaults to the --outfile option.
+ * @returns {Promise<{records: SavedBuildSizes[], index: number}>} The saved
+ *   build sizes and the index of the commit's build.
+ */
+async function findSavedBuild(options, ref, outfile = options.outfile) {
+  if (!outfile) {
+    help("Error: The --outfile option is required to find a saved commit.");
+  }
+
+  const records = await readSavedBuilds(options, outfile);
+  // refs like "main" or "HEAD~1" are resolved by the local repository
+  const commit = await resolveCommit(String(ref));
+  const index = records.lastIndexOf(findBuildSizesByCommit(records, commit));
+
+  if (index === -1) {
+    help(
+      `Error: No build sizes have been saved for "${ref}" to:\n   `,
+      outfile,
+    );
+  }
+
+  return { records, index };
+}
+
+/**
+ * Log the trends of the build sizes saved by the --outfile flag, or the build
+ * sizes saved for a commit.
+ *
+ * @private
+ * @param {string[]} positionals - The arguments of the history command.
+ * @param {object} options - The merged flags, config, and defaults.
+ */
+async function logHistory(positionals, options) {
+  // the outfile can be an argument, an option flag, or in the config file
+  const [outfile = options.outfile, ...extra] = positionals;
+
+  if (!outfile || extra.length) {
+    help("Error: The path to one CSV file is required.");
+  }
+
+  const last = Number(options.last);
+  if (!(Number.isInteger(last) && last > 1)) {
+    help("Error: The number of recent builds must be an integer above 1.");
+  }
+
+  if (options.commit) {
+    const { records, index } = await findSavedBuild(
+      options,
+      options.commit,
+      outfile,
+    );
+    const build = records[index];
+    const previous = records[index - 1];
+    const decimals = Number(options.decimals);
+    const binary = !!options.binary;
+
+    // the metrics are camel case, unlike the version, timestamp, and git
+    // metadata columns
+    const buildSizes = Object.fromEntries(
+      Object.entries(build).filter(([key]) => /^[a-z]/.test(key)),
+    );
+    // the bundle types aren't saved, so they're inferred from the bundles
+    const types = Object.keys(buildSizes)
+      .filter((key) => key.endsWith("BundleName"))
+      .map((key) =>
+        key === "mainBundleName"
+          ? extname(buildSizes[key]).slice(1) || getDefaults().filetype
+          : key.slice(0, -"BundleName".length),
+      );
+
+    REPORTERS[options.format](
+      [
+        {
+          path: savedLabel(build),
+          buildSizes,
+          budgetResults: [],
+          ...(previous && {
+            deltas: diffBuildSizes(previous, buildSizes),
+            since: savedLabel(previous),
+          }),
+        },
+      ],
+      { types, decimals, binary, options: {}, version: await getVersion() },
+    );
+    return;
+  }
+
+  const records = await readSavedBuilds(options, outfile);
+  if (!records.length) {
+    help("Error: No build sizes have been saved to:\n   ", outfile);
+  }
+
+  reportHistory(records, getBuildSizeTrends(records, { last }), {
+    format: options.format,
+    decimals: Number(options.decimals),
+    binary: !!options.binary,
+    outfile,
+    last,
+    version: await getVersion(),
   });
-  return options;
 }
 
 /**
@@ -203,39 +913,75 @@ function parseOptions(args) {
  *
  * @private
  * @since v3.0.0
+ * @param {string} [command] - Only include the usage and options of this
+ *   command, otherwise include every command.
  * @returns The CLI help message.
  * */
-function getUsageMessage() {
+function getUsageMessage(command) {
   // parse options help message from FLAG_INFO object
   const req = (flag) => (FLAG_INFO[flag].required ? "[required]" : "");
   const bool = (flag) => (FLAG_INFO[flag].boolean ? "[boolean]" : "");
   const def = (flag) =>
     FLAG_INFO[flag].default ? `(default is ${FLAG_INFO[flag].default})` : "";
+  const short = (flag) => getShortFlag(flag, FLAG_INFO[flag]);
 
-  // format the option info
+  // format the option info, only including the command's flags
+  const names =
+    (command && COMMAND_INFO[command].flags) || Object.keys(FLAG_INFO);
   const options = Object.keys(FLAG_INFO)
+    .filter((f) => names.includes(f))
     .map(
       (f) =>
-        `  -${f.charAt(0)}, --${f} ${req(f)} ${bool(f)}
+        `  ${short(f) ? `-${short(f)},` : "   "} --${f} ${req(f)} ${bool(f)}
       ${FLAG_INFO[f].description} ${def(f)}`,
     )
     .join("\n\n");
 
+  const syntax = `
+  Values can be provided as --flag=value or --flag value, short flags can be
+  grouped (e.g. -lb), boolean flags can be negated (e.g. --no-loader), and
+  every argument after -- is positional.`;
+
+  if (command) {
+    return `
+${COMMAND_INFO[command].description}.
+
+USAGE
+  build-sizes ${COMMAND_INFO[command].usage} [options]
+
+OPTIONS
+${options}
+${syntax}`;
+  }
+
+  const usage = Object.values(COMMAND_INFO)
+    .map((info) => `  build-sizes ${info.usage} [options]`)
+    .join("\n");
+  const commands = Object.entries(COMMAND_INFO)
+    .map(([name, info]) => `  ${name}\n      ${info.description}`)
+    .join("\n\n");
+
   return `
 A small script that provides build sizes to assist with optimization.
 
 USAGE
-  build-sizes <path> [options]
+${usage}
 
 REPOSITORY
   https://github.com/benelan/build-sizes
 
 ARGUMENTS
   path [required]
-      Path to the build directory
+      Path to the build directory, multiple paths can be provided
+
+COMMANDS
+${commands}
+
+  Add the -h or --help flag after a command for its usage information.
 
 OPTIONS
 ${options}
+${syntax}
 
 EXAMPLES
   # simplest usage with sane defaults
@@ -244,9 +990,63 @@ EXAMPLES
   # size of the largest css file with tweaked number formatting
   build-sizes dist --filetype=css --binary --decimals=1
 
-  # same as above, but use a flag for path when it's not the first argument
-  build-sizes -f=css -b -d=1 -p=dist
+  # same as above, but with grouped short flags and a flag for the path
+  build-sizes -bd1 -f css -p dist
 
   # save the build sizes to a csv and display a loading animation
-  build-sizes dist --loader --outfile=data/build-sizes.csv`;
+  build-sizes dist --loader --outfile=data/build-sizes.csv
+
+  # exit with code 1 if the build exceeds any of the size budgets
+  build-sizes dist --budget=mainBundleSizeBrotli:150KB,buildFileCount:400
+
+  # check the budgets from a config file without saving the build sizes
+  build-sizes check dist --no-loader
+
+  # log how the build sizes saved to a csv changed over the last 20 builds
+  build-sizes history data/build-sizes.csv --last=20
+
+  # compare the build with the build sizes saved for the main branch
+  build-sizes compare dist --commit=main --outfile=data/build-sizes.csv
+
+  # measure the build every time the bundler rebuilds it
+  build-sizes dist --watch --top=10
+
+  # log the build sizes of every package in a monorepo with a grand total
+  build-sizes --workspaces dist --outfile=data/build-sizes.csv
+
+  # log the build sizes of multiple directories as newline delimited json
+  build-sizes packages/app/dist packages/lib/dist --format=ndjson
+
+  # ignore source maps and everything in the legacy directory
+  build-sizes dist --exclude=*.map --exclude=static/legacy/**
+
+  # estimate the total transfer size of the build with gzip and brotli
+  build-sizes dist --transfer --threshold=512B
+
+  # match the compression settings of a CDN and measure zstd sizes
+  build-sizes dist --compression=gzip:9,brotli:11,mode:text,zstd
+
+  # reuse compressed sizes of unchanged files from previous runs
+  build-sizes dist --top --cache
+
+  # log every file using 4 worker threads for compression
+  build-sizes dist --top --concurrency=4
+
+  # log the 20 largest files with their gzip and brotli sizes
+  build-sizes dist --top=20
+
+  # log how much of the build is scripts, styles, images, fonts, etc.
+  build-sizes dist --types
+
+  # log which npm packages and directories make up the main bundle
+  build-sizes dist --sourcemap
+
+  # measure the entry chunks from the bundler's metadata, not the largest files
+  build-sizes dist --metafile=.vite/manifest.json
+
+  # compare the build from the main branch with the build from a pull request
+  build-sizes compare dist-main dist-pr --filetype=css
+
+  # log the largest js, css, and wasm files in a single run
+  build-sizes dist --filetype=js,css,wasm`;
 }
@@ -0,0 +1,186 @@
+import { relative, resolve } from "node:path";
+import { getBuildSizes } from "./build.js";
+import { toBuildSizesError } from "./errors.js";
+import { getFiles } from "./files.js";
+
+/**
+ * Compare the build sizes of two build directories, e.g. the build from the
+ * main branch and the build from a pull request.
+ *
+ * @since v3.3.0
+ * @param {string} basePath - The path to the build directory being compared against.
+ * @param {string} headPath - The path to the build directory being compared.
+ * @param {string|string[]} [bundleFileType] - The file type of bundle, e.g.
+ *   "js", "css", etc. Multiple types can be provided, see {@link getBuildSizes}.
+ * @param {FileFilterOptions} [options] - Glob patterns for including and
+ *   excluding files in both builds.
+ * @returns {Promise<BuildComparison>} The build sizes of each build and their differences.
+ * @throws {BuildSizesError} If either build can't be measured.
+ */
+async function compareBuildSizes(
+  basePath,
+  headPath,
+  bundleFileType = "js",
+  options = {},
+) {
+  try {
+    const [base, head, baseFiles, headFiles] = await Promise.all([
+      getBuildSizes(basePath, bundleFileType, options),
+      getBuildSizes(headPath, bundleFileType, options),
+      getFiles(resolve(process.cwd(), basePath), options),
+      getFiles(resolve(process.cwd(), headPath), options),
+    ]);
+
+    return {
+      base,
+      head,
+      deltas: diffBuildSizes(base, head),
+      files: diffFiles(
+        relativeFileSizes(basePath, baseFiles),
+        relativeFileSizes(headPath, headFiles),
+      ),
+    };
+  } catch (err) {
+    throw toBuildSizesError(
+      err,
+      "BUILD_READ_FAILED",
+      `Unable to compare the builds: ${resolve(basePath)} and ${resolve(headPath)}`,
+    );
+  }
+}
+
+/**
+ * Determine the differences between two results from {@link getBuildSizes}.
+ * Metrics that the previous build sizes don't have are skipped, e.g. when
+ * comparing against an old row from {@link readBuildSizes}.
+ *
+ * @since v3.3.0
+ * @param {BuildSizes} previous - The build sizes being compared against.
+ * @param {BuildSizes} current - The build sizes being compared.
+ * @returns {Object.<string, BuildSizeDelta>} The difference of each metric, keyed by metric.
+ */
+function diffBuildSizes(previous, current) {
+  const deltas = {};
+
+  for (const [metric, value] of Object.entries(current)) {
+    if (!(metric in previous)) continue;
+
+    const base = previous[metric];
+    const numeric = typeof value === "number" && typeof base === "number";
+    const delta = numeric ? value - base : null;
+
+    // the percentage is unknown when the metric grew from nothing
+    let percent = null;
+    if (numeric && base) percent = (delta / base) * 100;
+    else if (numeric && !value) percent = 0;
+
+    deltas[metric] = {
+      base,
+      head: value,
+      delta,
+      percent,
+      changed: numeric ? delta !== 0 : base !== value,
+    };
+  }
+
+  return deltas;
+}
+
+/**
+ * Map file paths, relative to the build directory, to their sizes.
+ *
+ * @private
+ * @param {string} buildPath - The path to the build directory.
+ * @param {File[]} files - The build files.
+ * @returns {Map<string, number>} The file sizes keyed by relative path.
+ */
+const relativeFileSizes = (buildPath, files) =>
+  new Map(
+    files.map((file) => [
+      relative(resolve(process.cwd(), buildPath), file.path),
+      file.size,
+    ]),
+  );
+
+/**
+ * Determine which files were added, removed, and changed between two builds.
+ *
+ * @private
+ * @param {Map<string, number>} baseFiles - The file sizes of the base build.
+ * @param {Map<string, number>} headFiles - The file sizes of the head build.
+ * @returns {FileChanges} The file changes.
+ */
+function diffFiles(baseFiles, headFiles) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [path, head] of headFiles) {
+    if (!baseFiles.has(path)) {
+      added.push({ path, base: 0, head, delta: head });
+    } else if (baseFiles.get(path) !== head) {
+      const base = baseFiles.get(path);
+      changed.push({ path, base, head, delta: head - base });
+    }
+  }
+
+  for (const [path, base] of baseFiles) {
+    if (!headFiles.has(path)) {
+      removed.push({ path, base, head: 0, delta: -base });
+    }
+  }
+
+  // biggest changes first
+  const byDelta = (a, b) => Math.abs(b.delta) - Math.abs(a.delta);
+  return {
+    added: added.sort(byDelta),
+    removed: removed.sort(byDelta),
+    changed: changed.sort(byDelta),
+  };
+}
+
+/**
+ * The difference of a single {@link BuildSizes} metric between two builds.
+ *
+ * @typedef {object} BuildSizeDelta
+ * @property {number|string} base - The value of the metric being compared against.
+ * @property {number|string} head - The value of the metric being compared.
+ * @property {number|null} delta - The absolute difference, or null if the metric isn't numeric.
+ * @property {number|null} percent - The percentage difference, or null if it
+ *   can't be determined (e.g. the metric grew from zero or isn't numeric).
+ * @property {boolean} changed - Whether the metric is different.
+ * @see {@link diffBuildSizes}
+ */
+
+/**
+ * The size difference of a single file between two builds.
+ *
+ * @typedef {object} FileChange
+ * @property {string} path - The file path relative to the build directory.
+ * @property {number} base - The file size in the base build, 0 if added.
+ * @property {number} head - The file size in the head build, 0 if removed.
+ * @property {number} delta - The difference in file size.
+ */
+
+/**
+ * The files that differ between two builds, sorted by the absolute size of
+ * their change.
+ *
+ * @typedef {object} FileChanges
+ * @property {FileChange[]} added - The files only in the head build.
+ * @property {FileChange[]} removed - The files only in the base build.
+ * @property {FileChange[]} changed - The files in both builds with different sizes.
+ */
+
+/**
+ * Information about the differences between two builds.
+ *
+ * @typedef {object} BuildComparison
+ * @property {BuildSizes} base - The build sizes being compared against.
+ * @property {BuildSizes} head - The build sizes being compared.
+ * @property {Object.<string, BuildSizeDelta>} deltas - The difference of each metric.
+ * @property {FileChanges} files - The files added, removed, and changed.
+ * @see {@link compareBuildSizes}
+ */
+
+export { compareBuildSizes, diffBuildSizes };
@@ -0,0 +1,422 @@
+import { readFile } from "node:fs/promises";
+import { extname } from "node:path";
+import { promisify } from "node:util";
+import * as zlib from "node:zlib";
+import { parseBytes } from "./bytes.js";
+import { BuildSizesError } from "./errors.js";
+
+const { constants } = zlib;
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+// zstd was added to zlib in Node v22.15.0
+const zstdCompress = zlib.zstdCompress && promisify(zlib.zstdCompress);
+
+/**
+ * The MIME types of common build output, keyed by file extension.
+ *
+ * @private
+ */
+const MIME_TYPES = {
+  js: "application/javascript",
+  mjs: "application/javascript",
+  cjs: "application/javascript",
+  jsx: "application/javascript",
+  json: "application/json",
+  map: "application/json",
+  webmanifest: "application/manifest+json",
+  xml: "application/xml",
+  wasm: "application/wasm",
+  css: "text/css",
+  html: "text/html",
+  htm: "text/html",
+  txt: "text/plain",
+  md: "text/markdown",
+  csv: "text/csv",
+  svg: "image/svg+xml",
+  ico: "image/x-icon",
+  bmp: "image/bmp",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+  ttf: "font/ttf",
+  otf: "font/otf",
+  eot: "application/vnd.ms-fontobject",
+  woff: "font/woff",
+  woff2: "font/woff2",
+  zip: "application/zip",
+  gz: "application/gzip",
+  br: "application/x-brotli",
+  mp4: "video/mp4",
+  webm: "video/webm",
+  mp3: "audio/mpeg",
+  pdf: "application/pdf",
+};
+
+/**
+ * The default rules for which files are compressed when transferred, similar
+ * to the defaults of popular CDNs. Formats that are already compressed (e.g.
+ * png, jpg, woff2, zip) are transferred at their raw size.
+ *
+ * @private
+ * @type {CompressibleRules}
+ */
+const COMPRESSIBLE_DEFAULTS = {
+  types: [
+    "text/*",
+    "application/javascript",
+    "application/json",
+    "application/manifest+json",
+    "application/xml",
+    "application/wasm",
+    "application/vnd.ms-fontobject",
+    "image/svg+xml",
+    "image/x-icon",
+    "image/bmp",
+    "font/ttf",
+    "font/otf",
+  ],
+  minSize: 1024,
+};
+
+/**
+ * The compression settings that can be parsed from a string, mapped to their
+ * location in {@link CompressionOptions}.
+ *
+ * @private
+ */
+const COMPRESSION_SETTINGS = {
+  gzip: ["gzip", "level"],
+  brotli: ["brotli", "quality"],
+  window: ["brotli", "window"],
+  mode: ["brotli", "mode"],
+  zstd: ["zstd", "level"],
+};
+
+// the valid range of each numeric setting, which zlib would otherwise reject
+// while compressing the first file
+const SETTING_RANGES = {
+  gzip: [0, 9],
+  brotli: [0, 11],
+  window: [10, 24],
+  zstd: [1, 22],
+};
+
+// the brotli compression modes, "font" is optimized for WOFF 2.0
+const BROTLI_MODES = {
+  generic: constants.BROTLI_MODE_GENERIC,
+  text: constants.BROTLI_MODE_TEXT,
+  font: constants.BROTLI_MODE_FONT,
+};
+
+// the lowercase file extension without the dot, e.g. "js"
+const getExtension = (name) => extname(name).slice(1).toLowerCase();
+
+/**
+ * Determine whether a file would be compressed when transferred.
+ *
+ * @private
+ * @param {File} file - The file to check.
+ * @param {CompressibleRules} [rules] - Overrides for the default rules.
+ * @returns {boolean} Whether the file is compressible.
+ */
+function isCompressible(file, rules = {}) {
+  const { types, minSize } = { ...COMPRESSIBLE_DEFAULTS, ...rules };
+  const extension = getExtension(file.name);
+  const mimeType = MIME_TYPES[extension] || "";
+
+  const matches = [].concat(types).some((type) => {
+    const rule = String(type).trim().toLowerCase().replace(/^\./, "");
+    return rule.endsWith("/*")
+      ? mimeType.startsWith(rule.slice(0, -1))
+      : rule === extension || rule === mimeType;
+  });
+
+  return matches && file.size >= parseBytes(minSize);
+}
+
+/**
+ * Convert compression settings to the options of the zlib compression
+ * functions, leaving out the settings that use the zlib defaults.
+ *
+ * @private
+ * @param {"gzip"|"brotli"|"zstd"} format - The compression format.
+ * @param {GzipOptions|BrotliOptions|ZstdOptions} [settings] - The settings.
+ * @returns {object} The zlib options.
+ */
+function getZlibOptions(format, settings = {}) {
+  if (format === "gzip") {
+    return settings.level === undefined ? {} : { level: settings.level };
+  }
+
+  const params = {};
+  const set = (param, value) => {
+    if (value !== undefined) params[param] = value;
+  };
+
+  if (format === "brotli") {
+    set(constants.BROTLI_PARAM_QUALITY, settings.quality);
+    set(constants.BROTLI_PARAM_LGWIN, settings.window);
+    set(constants.BROTLI_PARAM_MODE, BROTLI_MODES[settings.mode]);
+  } else {
+    set(constants.ZSTD_c_compressionLevel, settings.level);
+  }
+
+  return { params };
+}
+
+/**
+ * Compress a file using gzip and return the size.
+ *
+ * @since v3.0.0
+ * @param {string} filePath - The path of the file to compress.
+ * @param {GzipOptions} [options] - The compression settings, which default to
+ *   the [zlib]{@link https://nodejs.org/api/zlib.html#class-options} defaults.
+ * @returns {Promise<number>} The gzip-compressed byte size.
+ * @throws {BuildSizesError} With the `COMPRESSION_FAILED` code if the file
+ *   can't be read or compressed.
+ */
+const getFileSizeGzip = (filePath, options = {}) =>
+  readFile(filePath)
+    .then((data) => gzip(data, getZlibOptions("gzip", options)))
+    .then((output) => output.length)
+    .catch((err) => {
+      throw compressionError(err, "gzip", filePath);
+    });
+
+/**
+ * Compress a file using brotli and return the size.
+ *
+ * @since v3.0.0
+ * @param {string} filePath - The path of the file to compress.
+ * @param {BrotliOptions} [options] - The compression settings, which default
+ *   to the [zlib]{@link https://nodejs.org/api/zlib.html#brotli-constants}
+ *   defaults.
+ * @returns {Promise<number>} The brotli-compressed byte size.
+ * @throws {BuildSizesError} With the `COMPRESSION_FAILED` code if the file
+ *   can't be read or compressed.
+ */
+const getFileSizeBrotli = (filePath, options = {}) =>
+  readFile(filePath)
+    .then((data) => brotliCompress(data, getZlibOptions("brotli", options)))
+    .then((output) => output.length)
+    .catch((err) => {
+      throw compressionError(err, "brotli", filePath);
+    });
+
+/**
+ * Compress a file using zstd and return the size. Requires a version of Node
+ * with zstd support in zlib, see {@link isZstdSupported}.
+ *
+ * @since v3.3.0
+ * @param {string} filePath - The path of the file to compress.
+ * @param {ZstdOptions} [options] - The compression settings, which default to
+ *   the [zlib]{@link https://nodejs.org/api/zlib.html#zstd-constants} defaults.
+ * @returns {Promise<number>} The zstd-compressed byte size.
+ * @throws {BuildSizesError} With the `ZSTD_UNSUPPORTED` code if the running
+ *   version of Node doesn't support zstd.
+ */
+const getFileSizeZstd = async (filePath, options = {}) => {
+  if (!zstdCompress) {
+    throw new BuildSizesError(
+      "ZSTD_UNSUPPORTED",
+      `Node ${process.version} doesn't support zstd compression. Upgrade to Node v22.15.0 or later to get zstd sizes.`,
+    );
+  }
+
+  return readFile(filePath)
+    .then((data) => zstdCompress(data, getZlibOptions("zstd", options)))
+    .then((output) => output.length)
+    .catch((err) => {
+      throw compressionError(err, "zstd", filePath);
+    });
+};
+
+/**
+ * Create the error for a file that couldn't be compressed.
+ *
+ * @private
+ * @param {Error} err - The error from reading or compressing the file.
+ * @param {string} format - The compression format, e.g. "gzip".
+ * @param {string} filePath - The path of the file.
+ * @returns {BuildSizesError} The error, with the `COMPRESSION_FAILED` code.
+ */
+const compressionError = (err, format, filePath) =>
+  new BuildSizesError(
+    "COMPRESSION_FAILED",
+    `Unable to get the ${format} compressed size of: ${filePath}`,
+    { cause: err, path: filePath },
+  );
+
+/**
+ * Determine whether the running version of Node supports zstd compression.
+ *
+ * @since v3.3.0
+ * @returns {boolean} Whether zstd sizes can be measured.
+ */
+const isZstdSupported = () => !!zstdCompress;
+
+/**
+ * Parse compression settings, e.g. "gzip:9,brotli:11,mode:text,zstd". The
+ * settings are `gzip` (level), `brotli` (quality), `window` (brotli window
+ * size), `mode` (brotli mode), and `zstd` (level, optional). Zstd sizes are
+ * only measured when the `zstd` setting is provided.
+ *
+ * @since v3.3.0
+ * @param {string|CompressionOptions} [compression] - The compression settings
+ *   as a comma separated string, or an object which is validated as is.
+ * @returns {CompressionOptions} The compression options.
+ * @throws {BuildSizesError} With the `INVALID_COMPRESSION` code if a setting
+ *   is unknown or invalid.
+ */
+function parseCompression(compression) {
+  if (!compression) return {};
+
+  const options = {};
+  const set = (name, value) => {
+    const [format, key] = COMPRESSION_SETTINGS[name];
+    options[format] = { ...options[format] };
+    if (value !== undefined) options[format][key] = value;
+  };
+
+  if (typeof compression === "string") {
+    for (const setting of compression.split(",")) {
+      const [name, value] = setting.split(":").map((part) => part.trim());
+      if (!name) continue;
+
+      if (!Object.hasOwn(COMPRESSION_SETTINGS, name)) {
+        throw new BuildSizesError(
+          "INVALID_COMPRESSION",
+          `Unknown compression setting "${name}". Use one of: ${Object.keys(COMPRESSION_SETTINGS).join(", ")}`,
+        );
+      }
+
+      // zstd is the only setting that can be enabled without a value
+      if (value === undefined && name !== "zstd") {
+        throw new BuildSizesError(
+          "INVALID_COMPRESSION",
+          `Missing value for compression setting "${name}". Use the name:value format, e.g. "${name}:${name === "mode" ? "text" : 9}"`,
+        );
+      }
+
+      set(name, value === undefined || name === "mode" ? value : Number(value));
+    }
+  } else {
+    // the object form uses the same shape as the parsed options
+    for (const [format, settings] of Object.entries(compression)) {
+      if (!["gzip", "brotli", "zstd"].includes(format)) {
+        throw new BuildSizesError(
+          "INVALID_COMPRESSION",
+          `Unknown compression format "${format}". Use one of: gzip, brotli, zstd`,
+        );
+      }
+
+      if (settings === false) continue;
+      options[format] = settings === true ? {} : { ...settings };
+    }
+  }
+
+  for (const [name, [format, key]] of Object.entries(COMPRESSION_SETTINGS)) {
+    const value = options[format] && options[format][key];
+    if (value === undefined) continue;
+
+    const [min, max] = SETTING_RANGES[name] || [];
+    const valid =
+      name === "mode"
+        ? Object.hasOwn(BROTLI_MODES, value)
+        : Number.isInteger(value) && value >= min && value <= max;
+
+    if (!valid) {
+      throw new BuildSizesError(
+        "INVALID_COMPRESSION",
+        `Invalid compression setting "${name}:${value}". ${
+          name === "mode"
+            ? `Use one of: ${Object.keys(BROTLI_MODES).join(", ")}`
+            : `Use an integer from ${min} to ${max}`
+        }`,
+      );
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Describe compression settings in the same format that is parsed by
+ * {@link parseCompression}, but separated by spaces so it fits in a CSV cell.
+ *
+ * @private
+ * @param {CompressionOptions} compression - The compression settings.
+ * @returns {string} The description, e.g. "gzip:9 brotli:11 mode:text zstd".
+ */
+const describeCompression = (compression) =>
+  Object.entries(COMPRESSION_SETTINGS)
+    .map(([name, [format, key]]) => {
+      const settings = compression[format];
+      if (!settings) return "";
+      if (settings[key] !== undefined) return `${name}:${settings[key]}`;
+      // zstd is enabled even without a level
+      return name === "zstd" ? name : "";
+    })
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Rules for which files are compressed when estimating transfer sizes.
+ *
+ * @typedef {object} CompressibleRules
+ * @property {string[]} [types] - File extensions (e.g. "js") or MIME types
+ *   (e.g. "image/svg+xml", "text/*") that are compressed. Defaults to text
+ *   based formats like scripts, styles, HTML, JSON, SVG, and fonts that
+ *   aren't already compressed.
+ * @property {number|string} [minSize] - Files smaller than this aren't
+ *   compressed, e.g. 1024 or "1KB". Defaults to 1024 bytes.
+ * @see {@link getBuildSizes}
+ */
+
+/**
+ * The settings used to compress files. Omitted settings use the zlib defaults.
+ *
+ * @typedef {object} CompressionOptions
+ * @property {GzipOptions} [gzip] - The gzip settings.
+ * @property {BrotliOptions} [brotli] - The brotli settings.
+ * @property {ZstdOptions} [zstd] - The zstd settings. Zstd sizes are only
+ *   measured when this is provided, even if it's empty.
+ * @see {@link parseCompression}
+ */
+
+/**
+ * @typedef {object} GzipOptions
+ * @property {number} [level] - The compression level, from 0 to 9.
+ * @see {@link getFileSizeGzip}
+ */
+
+/**
+ * @typedef {object} BrotliOptions
+ * @property {number} [quality] - The compression quality, from 0 to 11.
+ * @property {number} [window] - The base 2 logarithm of the window size,
+ *   from 10 to 24.
+ * @property {"generic"|"text"|"font"} [mode] - The type of input, which
+ *   tunes the compression.
+ * @see {@link getFileSizeBrotli}
+ */
+
+/**
+ * @typedef {object} ZstdOptions
+ * @property {number} [level] - The compression level, from 1 to 22.
+ * @see {@link getFileSizeZstd}
+ */
+
+export {
+  describeCompression,
+  getExtension,
+  getFileSizeBrotli,
+  getFileSizeGzip,
+  getFileSizeZstd,
+  getZlibOptions,
+  isCompressible,
+  isZstdSupported,
+  parseCompression,
+};
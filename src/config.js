@@ -0,0 +1,229 @@
+import { access, readFile } from "node:fs/promises";
+import { basename, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { BuildSizesError } from "./errors.js";
+
+/**
+ * The config files that are discovered in the current working directory, in
+ * order of precedence. The "buildSizes" key in package.json is checked last.
+ *
+ * @private
+ */
+const CONFIG_FILES = [
+  "build-sizes.config.js",
+  "build-sizes.config.mjs",
+  "build-sizes.config.json",
+];
+
+// options that accept more than the type implied by their flag
+const OPTION_TYPES = {
+  path: "strings",
+  filetype: "strings",
+  include: "strings",
+  exclude: "strings",
+  budget: "budgets",
+  top: "top",
+  compressible: "strings",
+  threshold: "size",
+  compression: "compression",
+  concurrency: "concurrency",
+  cache: "cache",
+};
+
+// the description and validator for each type of option
+const VALIDATORS = {
+  boolean: ["a boolean", (value) => typeof value === "boolean"],
+  integer: ["an integer", (value) => Number.isInteger(value)],
+  string: ["a string", (value) => typeof value === "string"],
+  strings: [
+    "a string or an array of strings",
+    (value) =>
+      typeof value === "string" ||
+      (Array.isArray(value) && value.every((v) => typeof v === "string")),
+  ],
+  top: [
+    "a boolean or a positive integer",
+    (value) =>
+      typeof value === "boolean" || (Number.isInteger(value) && value > 0),
+  ],
+  concurrency: [
+    "a positive integer",
+    (value) => Number.isInteger(value) && value > 0,
+  ],
+  cache: [
+    "a boolean or the path to a directory",
+    (value) => typeof value === "boolean" || typeof value === "string",
+  ],
+  size: [
+    'a number of bytes or a string with units, e.g. "1KB"',
+    (value) =>
+      (Number.isFinite(value) && value >= 0) || typeof value === "string",
+  ],
+  compression: [
+    "a string or an object, e.g. { brotli: { quality: 11 } }",
+    (value) =>
+      typeof value === "string" ||
+      (!!value && typeof value === "object" && !Array.isArray(value)),
+  ],
+  budgets: [
+    'a string or an object, e.g. { buildSize: "5MB" }',
+    (value) =>
+      typeof value === "string" ||
+      (!!value && typeof value === "object" && !Array.isArray(value)),
+  ],
+};
+
+/**
+ * Load the CLI options from a config file. When a path isn't provided, the
+ * current working directory is searched for one of the {@link CONFIG_FILES},
+ * falling back to the "buildSizes" key in package.json.
+ *
+ * @private
+ * @param {string} [configPath] - The path to a specific config file.
+ * @returns {Promise<{config: object, source: string}|null>} The config and the
+ *   file it came from, or null if there isn't one.
+ * @throws {BuildSizesError} With the `INVALID_CONFIG` code if the config file
+ *   can't be loaded.
+ */
+async function loadConfig(configPath) {
+  const candidates = configPath ? [configPath] : CONFIG_FILES;
+
+  for (const candidate of candidates) {
+    const source = resolve(candidate);
+
+    // keep looking unless the user asked for this file specifically
+    const exists = await access(source).then(
+      () => true,
+      () => false,
+    );
+    if (!exists && !configPath) continue;
+
+    try {
+      const config = source.endsWith(".json")
+        ? JSON.parse(await readFile(source, "utf8"))
+        : (await import(pathToFileURL(source).href)).default;
+
+      return { config, source };
+    } catch (err) {
+      throw new BuildSizesError(
+        "INVALID_CONFIG",
+        `Unable to load the config file: ${source}`,
+        { cause: err, path: source },
+      );
+    }
+  }
+
+  try {
+    const pkg = JSON.parse(await readFile("package.json", "utf8"));
+    return pkg.buildSizes
+      ? { config: pkg.buildSizes, source: resolve("package.json") }
+      : null;
+  } catch {
+    // a missing or invalid package.json isn't a config problem
+    return null;
+  }
+}
+
+/**
+ * Validate the options loaded from a config file, throwing a helpful error if
+ * any are unknown or invalid.
+ *
+ * @private
+ * @param {object} config - The options loaded from the config file.
+ * @param {object} flagInfo - The CLI's flags, which are the valid options.
+ * @param {string} source - The file the config came from.
+ * @returns {object} The config, if it's valid.
+ * @throws {BuildSizesError} With the `INVALID_CONFIG` code.
+ */
+function validateConfig(config, flagInfo, source) {
+  const file = basename(source);
+
+  const fail = (message) => {
+    throw new BuildSizesError("INVALID_CONFIG", message, { path: source });
+  };
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    fail(`The config in ${file} must be an object.`);
+  }
+
+  // the config file can't point to another config file
+  const keys = Object.keys(flagInfo).filter((key) => key !== "config");
+
+  for (const [key, value] of Object.entries(config)) {
+    const info = flagInfo[key];
+
+    if (!keys.includes(key)) {
+      const suggestion = suggest(key, keys);
+      fail(
+        `Unknown option "${key}" in ${file}.${suggestion ? ` Did you mean "${suggestion}"?` : ""}\nValid options are: ${keys.join(", ")}`,
+      );
+    }
+
+    const type = info.boolean
+      ? "boolean"
+      : typeof info.default === "number"
+        ? "integer"
+        : OPTION_TYPES[key] || "string";
+    const [expected, isValid] = VALIDATORS[type];
+
+    if (!isValid(value)) {
+      fail(
+        `Invalid value for "${key}" in ${file}, expected ${expected}.\nReceived: ${JSON.stringify(value)}`,
+      );
+    }
+
+    if (info.choices && !info.choices.includes(value)) {
+      fail(
+        `Invalid value for "${key}" in ${file}.\nExpected one of: ${info.choices.join(", ")}`,
+      );
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Suggest the closest match for a misspelled name, using the Levenshtein
+ * distance between the name and each candidate.
+ *
+ * @private
+ * @param {string} name - The misspelled name.
+ * @param {string[]} candidates - The valid names.
+ * @returns {string|undefined} The closest candidate, if any are close enough.
+ */
+function suggest(name, candidates) {
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(
+          row[j] + 1,
+          row[j - 1] + 1,
+          previous + (a[i - 1] === b[j - 1] ? 0 : 1),
+        );
+        previous = current;
+      }
+    }
+
+    return row[b.length];
+  };
+
+  const [closest] = candidates
+    .map((candidate) => ({
+      candidate,
+      score: distance(name.toLowerCase(), candidate.toLowerCase()),
+    }))
+    .sort((a, b) => a.score - b.score);
+
+  // only suggest names that are a typo or two away
+  return closest && closest.score <= Math.max(2, name.length / 3)
+    ? closest.candidate
+    : undefined;
+}
+
+export { loadConfig, suggest, validateConfig };
@@ -0,0 +1,47 @@
+import { stat } from "node:fs/promises";
+import { getConcurrency, mapLimit } from "./pool.js";
+
+// the block size to round up to when the file system doesn't report one
+const DEFAULT_BLOCK_SIZE = 4096;
+
+/**
+ * Determine the space that files occupy on disk, i.e. their allocated size
+ * rather than their byte size. The allocation is based on the number of 512
+ * byte blocks reported by `stat`. When the file system doesn't report blocks
+ * (e.g. on some Windows file systems), the byte size is rounded up to the
+ * file system's block size instead. Hard links are only counted once, like
+ * the `du` command.
+ *
+ * @private
+ * @param {File[]} files - The files to measure.
+ * @param {object} [options] - How the files are read.
+ * @param {number} [options.concurrency] - The maximum number of files that
+ *   are read in parallel, defaults to the number of CPUs.
+ * @returns {Promise<number>} The size on disk in bytes.
+ */
+async function getSizeOnDisk(files, options = {}) {
+  // inode numbers can exceed the safe integer range, e.g. on Windows
+  const stats = await mapLimit(
+    files,
+    getConcurrency(options.concurrency),
+    (file) => stat(file.path, { bigint: true }),
+  );
+
+  const seen = new Set();
+
+  return stats.reduce((total, { dev, ino, nlink, size, blocks, blksize }) => {
+    // the inode is only unique per device
+    const id = `${dev}:${ino}`;
+    if (nlink > 1n && seen.has(id)) return total;
+    seen.add(id);
+
+    if (size === 0n) return total;
+    // a file with data but no blocks means they aren't reported
+    if (blocks > 0n) return total + Number(blocks * 512n);
+
+    const blockSize = Number(blksize) || DEFAULT_BLOCK_SIZE;
+    return total + Math.ceil(Number(size) / blockSize) * blockSize;
+  }, 0);
+}
+
+export { getSizeOnDisk };
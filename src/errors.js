@@ -0,0 +1,63 @@
+/**
+ * An error thrown (or rejected) by the build-sizes functions. The `code` is
+ * stable across versions, so it can be used to handle specific failures:
+ *
+ * - `BUILD_NOT_FOUND` - the build directory doesn't exist
+ * - `BUILD_READ_FAILED` - the build files couldn't be read
+ * - `COMPRESSION_FAILED` - a file couldn't be compressed
+ * - `ZSTD_UNSUPPORTED` - the running version of Node doesn't support zstd
+ * - `OUTFILE_UNREADABLE` - the saved build sizes couldn't be read
+ * - `OUTFILE_UNWRITABLE` - the build sizes couldn't be saved
+ * - `INVALID_SIZE` - a size couldn't be parsed or formatted
+ * - `INVALID_BUDGET` - a size budget is malformed or has an unknown metric
+ * - `INVALID_COMPRESSION` - a compression setting is unknown or invalid
+ * - `INVALID_SOURCEMAP` - a source map couldn't be parsed
+ * - `INVALID_METAFILE` - a bundler's metadata file couldn't be read or has an
+ *   unknown format
+ * - `INVALID_CONFIG` - the config file couldn't be loaded or is invalid
+ * - `INVALID_ARGUMENT` - a CLI argument is unknown or invalid
+ * - `WORKSPACES_NOT_FOUND` - the current working directory doesn't define
+ *   any workspace packages
+ *
+ * @since v3.3.0
+ * @example
+ * try {
+ *   await getBuildSizes("dist");
+ * } catch (err) {
+ *   if (err.code !== "BUILD_NOT_FOUND") throw err;
+ * }
+ */
+class BuildSizesError extends Error {
+  /**
+   * @param {string} code - The error code, e.g. "BUILD_NOT_FOUND".
+   * @param {string} message - What went wrong.
+   * @param {object} [options] - More information about the error.
+   * @param {Error} [options.cause] - The error that caused this one.
+   * @param {string} [options.path] - The path of the file or directory
+   *   involved, if any.
+   */
+  constructor(code, message, { cause, path } = {}) {
+    super(message, cause && { cause });
+    this.name = "BuildSizesError";
+    this.code = code;
+    if (path !== undefined) this.path = path;
+  }
+}
+
+/**
+ * Wrap an unexpected error in a {@link BuildSizesError}, leaving errors that
+ * are already a BuildSizesError as they are.
+ *
+ * @private
+ * @param {Error} err - The error to wrap.
+ * @param {string} code - The error code, see {@link BuildSizesError}.
+ * @param {string} message - What was being done when the error occurred.
+ * @param {string} [path] - The path of the file or directory involved.
+ * @returns {BuildSizesError} The error.
+ */
+const toBuildSizesError = (err, code, message, path) =>
+  err instanceof BuildSizesError
+    ? err
+    : new BuildSizesError(code, message, { cause: err, path });
+
+export { BuildSizesError, toBuildSizesError };
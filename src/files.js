@@ -0,0 +1,133 @@
+import { readdir, stat } from "node:fs/promises";
+import { relative, resolve } from "node:path";
+import { BuildSizesError } from "./errors.js";
+import { createFileFilter } from "./glob.js";
+import { getConcurrency, mapLimit } from "./pool.js";
+
+/**
+ * Asynchronously retrieves all files from a specified directory and its subdirectories.
+ *
+ * @since v2.1.0
+ * @param {string} parentDir - The path to the parent directory to search for files.
+ * @param {FileFilterOptions} [options] - Glob patterns for including and excluding files.
+ * @param {number} [options.concurrency] - The maximum number of files that are
+ *   read in parallel, defaults to the number of CPUs.
+ * @returns {Promise<Array<File[]>} A promise that resolves to an array of file objects, each containing the file's name, path, and size.
+ * @throws {BuildSizesError} With the `BUILD_NOT_FOUND` code if the directory doesn't exist, or `BUILD_READ_FAILED` if the files can't be read.
+ */
+async function getFiles(parentDir, options = {}) {
+  // the reports of a CLI run share the files of each build, see createMemo
+  const { memo } = options;
+  if (memo) {
+    const key = JSON.stringify([
+      resolve(parentDir),
+      options.include,
+      options.exclude,
+    ]);
+    if (!memo.files.has(key)) {
+      memo.files.set(key, getFiles(parentDir, { ...options, memo: null }));
+    }
+    return memo.files.get(key);
+  }
+
+  try {
+    const files = [];
+    const isIncluded = createFileFilter(options);
+    const entries = await readdir(parentDir, {
+      withFileTypes: true,
+      recursive: true,
+    });
+
+    for (const dirent of entries) {
+      if (dirent.isFile()) {
+        const itemPath = resolve(dirent.path, dirent.name);
+        if (!isIncluded(relative(parentDir, itemPath))) continue;
+
+        files.push({ name: dirent.name, path: itemPath });
+      }
+    }
+
+    // stat the files in parallel, keeping them in the order they were found
+    return mapLimit(
+      files,
+      getConcurrency(options.concurrency),
+      async (file) => ({ ...file, size: (await stat(file.path)).size }),
+    );
+  } catch (err) {
+    // files can also disappear while they're being read
+    if (err.code === "ENOENT" && err.syscall === "scandir") {
+      throw new BuildSizesError(
+        "BUILD_NOT_FOUND",
+        `Could not find build at specified path: ${parentDir}`,
+        { cause: err, path: parentDir },
+      );
+    }
+
+    throw new BuildSizesError(
+      "BUILD_READ_FAILED",
+      `Unable to read the build files in: ${parentDir}`,
+      { cause: err, path: parentDir },
+    );
+  }
+}
+
+/**
+ * Filter files by filetype. Use {@link getFiles} to retrieve the build files.
+ *
+ * @since v2.2.0
+ * @param {File[]} files - The files to filter.
+ * @param {string} type - The file type, e.g. "js", "css", etc.
+ * @returns {File[]} The files filtered by file type.
+ */
+const filterFilesByType = (files, type) =>
+  files.filter((file) =>
+    file.name.toLowerCase().endsWith(`.${type.toLowerCase()}`),
+  );
+
+/**
+ * Get the prefix of the {@link BuildSizes} keys for a bundle file type. The
+ * first type is the "main" bundle and the others are prefixed by their type,
+ * e.g. "mainBundle" for "js" and "cssBundle" for "css" when measuring both.
+ *
+ * @since v3.3.0
+ * @param {string} type - The file type of the bundle, e.g. "js", "css", etc.
+ * @param {number} [index] - The position of the type in the list of types.
+ * @returns {string} The key prefix, e.g. "cssBundle" for "cssBundleSize".
+ */
+const getBundlePrefix = (type, index = 0) =>
+  index
+    ? `${type.toLowerCase().replace(/[^a-z0-9]/g, "")}Bundle`
+    : "mainBundle";
+
+/**
+ * Parse the bundle file types, which can be an array or a comma separated
+ * string, e.g. "js,css".
+ *
+ * @since v3.3.0
+ * @param {string|string[]} bundleFileType - The file types of the bundles.
+ * @returns {string[]} The unique file types.
+ */
+const parseFileTypes = (bundleFileType) => [
+  ...new Set(
+    []
+      .concat(bundleFileType)
+      .flatMap((type) => String(type).split(","))
+      .map((type) => type.trim().replace(/^\./, ""))
+      .filter(Boolean),
+  ),
+];
+
+/**
+ * Information about a file.
+ *
+ * @typedef {object} File
+ * @property {string} name - The file name with type.
+ * @property {string} path - The absolute file path.
+ * @property {string} size - The uncompressed file size.
+ * @see {@link getFiles}
+ * @see {@link getFileSizeBrotli}
+ * @see {@link getFileSizeGzip}
+ * @see {@link filterFilesByType}
+ */
+
+export { filterFilesByType, getBundlePrefix, getFiles, parseFileTypes };
@@ -0,0 +1,241 @@
+import { execFile } from "node:child_process";
+import { readFile, stat } from "node:fs/promises";
+import { dirname, join, resolve } from "node:path";
+
+/**
+ * The environment variables of common CI providers, used to record which run
+ * and pull request the build sizes were saved by. The pull request is a
+ * function for providers that only include it in another variable.
+ *
+ * @private
+ */
+const CI_PROVIDERS = [
+  {
+    name: "github",
+    detect: "GITHUB_ACTIONS",
+    runId: "GITHUB_RUN_ID",
+    // e.g. "refs/pull/123/merge"
+    pullRequest: (env) => (env.GITHUB_REF || "").match(/^refs\/pull\/(\d+)/),
+  },
+  {
+    name: "gitlab",
+    detect: "GITLAB_CI",
+    runId: "CI_PIPELINE_ID",
+    pullRequest: "CI_MERGE_REQUEST_IID",
+  },
+  {
+    name: "circleci",
+    detect: "CIRCLECI",
+    runId: "CIRCLE_WORKFLOW_ID",
+    // e.g. "https://github.com/owner/repo/pull/123"
+    pullRequest: (env) => (env.CIRCLE_PULL_REQUEST || "").match(/\/(\d+)$/),
+  },
+  {
+    name: "travis",
+    detect: "TRAVIS",
+    runId: "TRAVIS_BUILD_ID",
+    // "false" when the build isn't for a pull request
+    pullRequest: (env) => (env.TRAVIS_PULL_REQUEST || "").match(/^(\d+)$/),
+  },
+  {
+    name: "buildkite",
+    detect: "BUILDKITE",
+    runId: "BUILDKITE_BUILD_ID",
+    pullRequest: (env) => (env.BUILDKITE_PULL_REQUEST || "").match(/^(\d+)$/),
+  },
+  {
+    name: "azure",
+    detect: "TF_BUILD",
+    runId: "BUILD_BUILDID",
+    pullRequest: "SYSTEM_PULLREQUEST_PULLREQUESTNUMBER",
+  },
+  {
+    name: "jenkins",
+    detect: "JENKINS_URL",
+    runId: "BUILD_ID",
+    pullRequest: "CHANGE_ID",
+  },
+];
+
+/**
+ * Run a git command, without a shell or any network access.
+ *
+ * @private
+ * @param {string[]} args - The arguments of the git command.
+ * @param {string} cwd - The working directory.
+ * @returns {Promise<string>} The trimmed output.
+ */
+const git = (args, cwd) =>
+  new Promise((resolve, reject) =>
+    execFile(
+      "git",
+      args,
+      // don't take locks that could interfere with other git processes
+      { cwd, timeout: 10000, env: { ...process.env, GIT_OPTIONAL_LOCKS: "0" } },
+      (err, stdout) => (err ? reject(err) : resolve(stdout.trim())),
+    ),
+  );
+
+/**
+ * Get the commit that is checked out in a git repository. Uses the git binary
+ * when it's installed, otherwise the commit and branch are read from the
+ * `.git` directory, in which case the commit date and dirty flag are unknown.
+ *
+ * @private
+ * @param {string} [cwd] - A directory in the repository, which defaults to
+ *   the current working directory.
+ * @returns {Promise<GitInfo|null>} The commit info, or null if the directory
+ *   isn't in a git repository.
+ */
+async function getGitInfo(cwd = process.cwd()) {
+  try {
+    const [commit, branch, commitDate, status] = await Promise.all([
+      git(["rev-parse", "HEAD"], cwd),
+      git(["rev-parse", "--abbrev-ref", "HEAD"], cwd),
+      git(["log", "-1", "--format=%cI"], cwd),
+      // untracked files are ignored, since they're often the build itself
+      git(["status", "--porcelain", "--untracked-files=no"], cwd),
+    ]);
+
+    return {
+      commit,
+      // CI providers usually check out a commit rather than a branch
+      ...(branch !== "HEAD" && { branch }),
+      commitDate,
+      dirty: !!status,
+    };
+  } catch {
+    return readGitDirectory(cwd);
+  }
+}
+
+/**
+ * Read the checked out commit and branch from the `.git` directory, for when
+ * the git binary isn't installed.
+ *
+ * @private
+ * @param {string} cwd - A directory in the repository.
+ * @returns {Promise<GitInfo|null>} The commit and branch, or null if the
+ *   directory isn't in a git repository.
+ */
+async function readGitDirectory(cwd) {
+  try {
+    const gitDir = await findGitDirectory(resolve(cwd));
+    if (!gitDir) return null;
+
+    const head = (await readFile(join(gitDir, "HEAD"), "utf8")).trim();
+    const ref = head.match(/^ref: (.+)$/);
+    if (!ref) return { commit: head };
+
+    // worktrees keep their refs in the main repository
+    const commonDir = await readFile(join(gitDir, "commondir"), "utf8").then(
+      (dir) => resolve(gitDir, dir.trim()),
+      () => gitDir,
+    );
+    const branch = ref[1].replace(/^refs\/heads\//, "");
+
+    for (const dir of [gitDir, commonDir]) {
+      const commit = await readFile(join(dir, ref[1]), "utf8").catch(() => "");
+      if (commit.trim()) return { commit: commit.trim(), branch };
+    }
+
+    // refs are packed by garbage collection, e.g. "<sha> refs/heads/main"
+    const packed = await readFile(join(commonDir, "packed-refs"), "utf8");
+    const line = packed
+      .split("\n")
+      .find((entry) => entry.endsWith(` ${ref[1]}`));
+
+    return line ? { commit: line.split(" ")[0], branch } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the `.git` directory of the repository containing a directory.
+ *
+ * @private
+ * @param {string} dir - The absolute path of the directory.
+ * @returns {Promise<string|null>} The path of the `.git` directory.
+ */
+async function findGitDirectory(dir) {
+  const candidate = join(dir, ".git");
+  const stats = await stat(candidate).catch(() => null);
+
+  if (stats && stats.isDirectory()) return candidate;
+  // worktrees and submodules have a file pointing to the git directory
+  if (stats && stats.isFile()) {
+    const pointer = (await readFile(candidate, "utf8")).match(
+      /^gitdir: (.+)$/m,
+    );
+    if (pointer) return resolve(dir, pointer[1].trim());
+  }
+
+  const parent = dirname(dir);
+  return parent === dir ? null : findGitDirectory(parent);
+}
+
+/**
+ * Get the CI run and pull request from the environment variables of common CI
+ * providers, e.g. GitHub Actions or GitLab CI.
+ *
+ * @private
+ * @param {object} [env] - The environment variables, which default to
+ *   `process.env`.
+ * @returns {CiInfo|null} The CI info, or null when not running in a known CI.
+ */
+function getCiInfo(env = process.env) {
+  const provider = CI_PROVIDERS.find((ci) => env[ci.detect]);
+  if (!provider) return null;
+
+  const pullRequest =
+    typeof provider.pullRequest === "function"
+      ? (provider.pullRequest(env) || [])[1]
+      : env[provider.pullRequest];
+
+  return {
+    provider: provider.name,
+    ...(env[provider.runId] && { runId: env[provider.runId] }),
+    ...(pullRequest && { pullRequest }),
+  };
+}
+
+/**
+ * Resolve a git ref, e.g. "HEAD~1" or "main", to the full commit SHA.
+ *
+ * @private
+ * @param {string} ref - The git ref, or a commit SHA (which can be shortened).
+ * @param {string} [cwd] - A directory in the repository.
+ * @returns {Promise<string>} The commit SHA, or the ref as is if it can't be
+ *   resolved, e.g. when the git binary isn't installed.
+ */
+const resolveCommit = (ref, cwd = process.cwd()) =>
+  git(["rev-parse", "--verify", "--quiet", `${ref}^{commit}`], cwd).catch(
+    () => ref,
+  );
+
+/**
+ * The commit that was checked out when the build sizes were saved.
+ *
+ * @typedef {object} GitInfo
+ * @property {string} commit - The commit SHA.
+ * @property {string} [branch] - The branch, unless a commit is checked out.
+ * @property {string} [commitDate] - When the commit was made, as an ISO 8601
+ *   timestamp. Unknown when the git binary isn't installed.
+ * @property {boolean} [dirty] - Whether tracked files had uncommitted changes.
+ *   Unknown when the git binary isn't installed.
+ * @see {@link getGitInfo}
+ */
+
+/**
+ * The CI run that saved the build sizes.
+ *
+ * @typedef {object} CiInfo
+ * @property {string} provider - The CI provider, e.g. "github" or "gitlab".
+ * @property {string} [runId] - The ID of the CI run, pipeline, or workflow.
+ * @property {string} [pullRequest] - The number of the pull request (or merge
+ *   request) being built.
+ * @see {@link getCiInfo}
+ */
+
+export { getCiInfo, getGitInfo, resolveCommit };
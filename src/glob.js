@@ -0,0 +1,94 @@
+import { basename } from "node:path";
+
+/**
+ * Convert a glob pattern to a regular expression. Supports `*`, `**`, `?`,
+ * character classes like `[a-z]` or `[!a-z]`, and braces like `{js,css}`.
+ *
+ * @private
+ * @param {string} glob - The glob pattern, e.g. "static/**\/*.js".
+ * @returns {RegExp} The regular expression matching the pattern.
+ */
+function globToRegExp(glob) {
+  let source = "";
+  let braces = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === "*" && glob[i + 1] === "*") {
+      // "**/" matches zero or more directories
+      const slash = glob[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[" && glob.indexOf("]", i + 2) !== -1) {
+      const end = glob.indexOf("]", i + 2);
+      const negated = glob[i + 1] === "!" || glob[i + 1] === "^";
+      const members = glob
+        .slice(negated ? i + 2 : i + 1, end)
+        .replace(/[\\\]]/g, "\\$&");
+      source += `[${negated ? "^" : ""}${members}]`;
+      i = end;
+    } else if (char === "{") {
+      braces += 1;
+      source += "(?:";
+    } else if (char === "}" && braces) {
+      braces -= 1;
+      source += ")";
+    } else if (char === "," && braces) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$()|[\]{}\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Create a function that determines whether a file should be measured, based
+ * on glob patterns. Patterns without a slash match the file name at any depth
+ * (e.g. "*.map"), otherwise they match the path relative to the build
+ * directory (e.g. "static/legacy/**").
+ *
+ * @private
+ * @param {FileFilterOptions} [options] - The include and exclude patterns.
+ * @returns {function(string): boolean} Whether a relative file path matches.
+ */
+function createFileFilter(options = {}) {
+  const toMatchers = (patterns) =>
+    [].concat(patterns || []).map((pattern) => {
+      const glob = pattern.replace(/^\.\//, "");
+      const regex = globToRegExp(glob);
+      const nameOnly = !glob.includes("/");
+      return (path) => regex.test(nameOnly ? basename(path) : path);
+    });
+
+  const include = toMatchers(options.include);
+  const exclude = toMatchers(options.exclude);
+
+  return (relativePath) => {
+    // globs always use forward slashes, even on Windows
+    const path = relativePath.split("\\").join("/");
+    return (
+      (!include.length || include.some((matches) => matches(path))) &&
+      !exclude.some((matches) => matches(path))
+    );
+  };
+}
+
+/**
+ * Glob patterns for choosing which files in the build directory are measured.
+ *
+ * @typedef {object} FileFilterOptions
+ * @property {string|string[]} [include] - Only measure files matching at
+ *   least one of these patterns, e.g. "static/**".
+ * @property {string|string[]} [exclude] - Don't measure files matching any of
+ *   these patterns, e.g. ["*.map", "**\/stats.html"].
+ * @see {@link getFiles}
+ */
+
+export { createFileFilter, globToRegExp };
@@ -0,0 +1,734 @@
+import { appendFile, readFile, rename, writeFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import { diffBuildSizes } from "./compare.js";
+import { BuildSizesError } from "./errors.js";
+import { getCiInfo, getGitInfo } from "./git.js";
+
+/**
+ * The version of the CSV schema written by {@link saveBuildSizes}, which is
+ * saved in the "Schema" column of each row. Files without the column are the
+ * original schema (see {@link isLegacyHeader}), which is migrated the next
+ * time build sizes are saved.
+ *
+ * @private
+ */
+const SCHEMA_VERSION = 2;
+
+/**
+ * The schema of the rows that were migrated from the original schema, whose
+ * timestamps are locale dependent instead of ISO 8601.
+ *
+ * @private
+ */
+const LEGACY_SCHEMA_VERSION = 1;
+
+/**
+ * The version of the {@link BuildSizeRecord} schema, which is saved in the
+ * "schema" property of each JSON Lines record.
+ *
+ * @private
+ */
+const RECORD_SCHEMA_VERSION = 1;
+
+/**
+ * The CSV columns of the git and CI metadata, and where they are in a
+ * {@link BuildSizeRecord}.
+ *
+ * @private
+ */
+const METADATA_COLUMNS = {
+  Commit: ["git", "commit"],
+  Branch: ["git", "branch"],
+  CommitDate: ["git", "commitDate"],
+  Dirty: ["git", "dirty"],
+  CI: ["ci", "provider"],
+  RunId: ["ci", "runId"],
+  PullRequest: ["ci", "pullRequest"],
+};
+
+/**
+ * The build sizes that were saved before the schema was versioned. Files with
+ * other columns aren't migrated, since they weren't saved by build-sizes.
+ *
+ * @private
+ */
+const LEGACY_COLUMNS = [
+  "mainBundleName",
+  "mainBundleSize",
+  "mainBundleSizeGzip",
+  "mainBundleSizeBrotli",
+  "buildSize",
+  "buildSizeOnDisk",
+  "buildFileCount",
+];
+
+// the columns before the build sizes
+const META_COLUMNS = [
+  "Schema",
+  "Package",
+  "Path",
+  "Version",
+  "Timestamp",
+  ...Object.keys(METADATA_COLUMNS),
+];
+
+/**
+ * The formats that build sizes can be saved in. JSON Lines files have a
+ * ".jsonl" or ".ndjson" extension, and everything else is CSV.
+ *
+ * @private
+ */
+const OUTFILE_FORMATS = ["csv", "jsonl"];
+
+/**
+ * Get the format of a file of saved build sizes.
+ *
+ * @private
+ * @param {string} outputPath - The path of the file.
+ * @param {string} [format] - The format, which is detected from the file
+ *   extension when not provided.
+ * @returns {string} The format, see {@link OUTFILE_FORMATS}.
+ */
+const getOutfileFormat = (outputPath, format) =>
+  format || (/\.(jsonl|ndjson)$/i.test(outputPath) ? "jsonl" : "csv");
+
+/**
+ * Save the results from {@link getBuildSizes} to a CSV or JSON Lines file.
+ * Useful for tracking build sizes over time, e.g., in a CI/CD pipeline.
+ *
+ * Each build includes the version from the package.json file in the current
+ * working directory and an ISO 8601 timestamp. When the current working
+ * directory is in a git repository, the commit, branch, commit date, and
+ * whether there were uncommitted changes are included too, along with the run
+ * and pull request of common CI providers. A JSON Lines file gets one
+ * {@link BuildSizeRecord} per build, which can hold the details of the build
+ * that don't fit in a CSV row.
+ *
+ * When the build sizes have a column that a CSV file doesn't, e.g. after adding
+ * a bundle type, the file is rewritten with every column so the existing rows
+ * stay aligned. Files saved by older versions of build-sizes are migrated the
+ * same way.
+ *
+ * The builds of several packages, e.g. the workspaces of a monorepo, can be
+ * saved to the same file by providing the name and version of each package.
+ *
+ * @since v3.0.0
+ * @param {BuildSizes} buildSizes - The build sizes that will be saved.
+ * @param {string} outputPath - The path of the output file, e.g. "build/size.csv".
+ * @param {object} [options] - How the build sizes are saved.
+ * @param {string} [options.format] - The format of the file, "csv" or
+ *   "jsonl", which is detected from the file extension by default.
+ * @param {object} [options.details] - Additional properties of the JSON Lines
+ *   record, e.g. `{ path: "dist", fileReport }`. Ignored for CSV files.
+ * @param {boolean} [options.git] - Whether to include the git and CI
+ *   metadata, defaults to true.
+ * @param {string} [options.package] - The name of the package that was built,
+ *   which is saved in the "Package" column.
+ * @param {string} [options.path] - The path to the build directory, which is
+ *   saved in the "Path" column, e.g. to tell apart the builds of a package.
+ * @param {string} [options.version] - The version of the package, which
+ *   defaults to the version in the package.json file of the current working
+ *   directory.
+ * @throws {BuildSizesError} With the `OUTFILE_UNWRITABLE` code if the file
+ *   can't be written.
+ */
+async function saveBuildSizes(buildSizes, outputPath, options = {}) {
+  const outfile = resolve(outputPath);
+
+  try {
+    let version = options.version || "";
+
+    try {
+      if (!("version" in options)) {
+        version = JSON.parse(await readFile("package.json", "utf8")).version;
+      }
+    } catch (err) {
+      if (err.code === "ENOENT" && err.path === "package.json") {
+        console.warn(
+          "No package.json file found in the current working directory.",
+          "The package version will not be specified.\n",
+        );
+      }
+    }
+
+    const timestamp = new Date().toISOString();
+
+    // git is read locally, so this doesn't need network access
+    const git = options.git === false ? null : await getGitInfo();
+    const ci = options.git === false ? null : getCiInfo();
+    const metadata = { ...(git && { git }), ...(ci && { ci }) };
+
+    if (getOutfileFormat(outputPath, options.format) === "jsonl") {
+      const record = {
+        schema: RECORD_SCHEMA_VERSION,
+        timestamp,
+        ...(options.package && { package: options.package }),
+        ...(options.path && { path: options.path }),
+        ...(version && { version }),
+        ...metadata,
+        buildSizes,
+        ...options.details,
+      };
+      await appendFile(outfile, `${JSON.stringify(record)}\n`);
+    } else {
+      await saveCsvRow(outfile, {
+        ...(options.package && { Package: options.package }),
+        ...(options.path && { Path: options.path }),
+        Version: version,
+        Timestamp: timestamp,
+        ...toMetadataColumns(metadata),
+        ...buildSizes,
+      });
+    }
+  } catch (err) {
+    throw new BuildSizesError(
+      "OUTFILE_UNWRITABLE",
+      `Unable to save the build sizes to: ${outfile}`,
+      { cause: err, path: outfile },
+    );
+  }
+}
+
+/**
+ * Add a row of build sizes to a CSV file, migrating the file when the row has
+ * columns that the file doesn't.
+ *
+ * @private
+ * @param {string} outfile - The absolute path of the CSV file.
+ * @param {SavedBuildSizes} record - The build sizes and metadata.
+ */
+async function saveCsvRow(outfile, record) {
+  let csv = "";
+  try {
+    csv = await readFile(outfile, "utf8");
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  const [header, ...rows] = parseCsv(csv);
+  const columns = ["Schema", ...Object.keys(record)];
+
+  // append to the file when it has every column, in whatever order
+  if (
+    header &&
+    header[0] === "Schema" &&
+    columns.every((column) => header.includes(column))
+  ) {
+    await appendFile(outfile, toCsvRow(header, record));
+    return;
+  }
+
+  // otherwise (re)write the file with the columns of every row, keeping the
+  // order of the existing columns and adding the new ones at the end, except
+  // for the metadata which is always before the build sizes
+  const records = [...parseBuildSizes(csv, outfile), record];
+  const saved = new Set(records.flatMap((row) => Object.keys(row)));
+  const union = [
+    ...new Set([
+      ...META_COLUMNS.filter(
+        (column) => column === "Schema" || saved.has(column),
+      ),
+      ...saved,
+    ]),
+  ];
+  // the existing rows keep their schema, so migrated rows are still marked as
+  // having locale dependent timestamps
+  const schemas = rows.map((row) =>
+    header[0] === "Schema" ? row[0] : LEGACY_SCHEMA_VERSION,
+  );
+  const lines = [
+    toCsvLine(union),
+    ...records.map((row, index) => toCsvRow(union, row, schemas[index])),
+  ];
+
+  // write to a temporary file first so the history is never half written
+  const temp = `${outfile}.${process.pid}.tmp`;
+  await writeFile(temp, lines.join(""));
+  await rename(temp, outfile);
+}
+
+/**
+ * Read the build sizes saved to a file by {@link saveBuildSizes}, in the
+ * flat shape of a CSV row. Use {@link readBuildSizeRecords} for the details
+ * saved to JSON Lines files.
+ *
+ * @since v3.3.0
+ * @param {string} outputPath - The path of the file, e.g. "build/size.csv".
+ * @param {object} [options] - How the file is read.
+ * @param {string} [options.format] - The format of the file, "csv" or
+ *   "jsonl", which is detected from the file extension by default.
+ * @returns {Promise<SavedBuildSizes[]>} The saved build sizes, oldest first.
+ *   Resolves to an empty array if the file doesn't exist yet.
+ * @throws {BuildSizesError} With the `OUTFILE_UNREADABLE` code if the file
+ *   exists but can't be read.
+ */
+async function readBuildSizes(outputPath, options = {}) {
+  const data = await readOutfile(outputPath);
+
+  if (getOutfileFormat(outputPath, options.format) === "csv") {
+    return parseBuildSizes(data, outputPath);
+  }
+
+  return parseRecords(data, outputPath).map((record) => ({
+    ...(record.package && { Package: record.package }),
+    ...(record.path && { Path: record.path }),
+    ...(record.version && { Version: record.version }),
+    Timestamp: record.timestamp,
+    ...toMetadataColumns(record),
+    ...record.buildSizes,
+  }));
+}
+
+/**
+ * Read the records saved to a file by {@link saveBuildSizes}. The rows of a
+ * CSV file are converted to records without any details, so the history can
+ * be consumed the same way regardless of the format.
+ *
+ * @since v3.3.0
+ * @param {string} outputPath - The path of the file, e.g. "build/size.jsonl".
+ * @param {object} [options] - How the file is read.
+ * @param {string} [options.format] - The format of the file, "csv" or
+ *   "jsonl", which is detected from the file extension by default.
+ * @returns {Promise<BuildSizeRecord[]>} The saved records, oldest first.
+ *   Resolves to an empty array if the file doesn't exist yet.
+ * @throws {BuildSizesError} With the `OUTFILE_UNREADABLE` code if the file
+ *   exists but can't be read or parsed.
+ */
+async function readBuildSizeRecords(outputPath, options = {}) {
+  const data = await readOutfile(outputPath);
+
+  if (getOutfileFormat(outputPath, options.format) === "jsonl") {
+    return parseRecords(data, outputPath);
+  }
+
+  return parseBuildSizes(data, outputPath).map(
+    ({ Package, Path, Version, Timestamp, ...columns }) => {
+      const record = {
+        schema: RECORD_SCHEMA_VERSION,
+        timestamp: Timestamp,
+        ...(Package && { package: Package }),
+        ...(Path && { path: Path }),
+        ...(Version && { version: Version }),
+        buildSizes: {},
+      };
+
+      for (const [column, value] of Object.entries(columns)) {
+        if (!(column in METADATA_COLUMNS)) {
+          record.buildSizes[column] = value;
+          continue;
+        }
+        const [group, key] = METADATA_COLUMNS[column];
+        record[group] = { ...record[group], [key]: value };
+      }
+
+      // keep the build sizes last, like the records of JSON Lines files
+      const { buildSizes, ...metadata } = record;
+      return { ...metadata, buildSizes };
+    },
+  );
+}
+
+/**
+ * Get the git and CI metadata of a record as CSV columns.
+ *
+ * @private
+ * @param {{git?: GitInfo, ci?: CiInfo}} record - The record.
+ * @returns {object} The columns (as keys) and their values, excluding
+ *   metadata that is unknown.
+ */
+const toMetadataColumns = (record) =>
+  Object.fromEntries(
+    Object.entries(METADATA_COLUMNS)
+      .map(([column, [group, key]]) => [column, (record[group] || {})[key]])
+      .filter(([, value]) => value !== undefined && value !== null),
+  );
+
+/**
+ * Find the build sizes that were saved for a commit, e.g. to compare the
+ * current build with the build of the main branch.
+ *
+ * @since v3.3.0
+ * @param {SavedBuildSizes[]} records - The saved build sizes, oldest first, see
+ *   {@link readBuildSizes}.
+ * @param {string} commit - The commit SHA, which can be shortened like git
+ *   allows, e.g. "1a2b3c4".
+ * @returns {SavedBuildSizes|undefined} The build sizes saved most recently for
+ *   the commit, if any.
+ */
+function findBuildSizesByCommit(records, commit) {
+  const sha = String(commit).trim().toLowerCase();
+  if (!sha) return undefined;
+
+  return records.findLast(
+    (record) =>
+      typeof record.Commit === "string" &&
+      record.Commit.toLowerCase().startsWith(sha),
+  );
+}
+
+/**
+ * Read a file of saved build sizes.
+ *
+ * @private
+ * @param {string} outputPath - The path of the file.
+ * @returns {Promise<string>} The contents, or an empty string if the file
+ *   doesn't exist yet.
+ */
+async function readOutfile(outputPath) {
+  try {
+    return await readFile(resolve(outputPath), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return "";
+    throw new BuildSizesError(
+      "OUTFILE_UNREADABLE",
+      `Unable to read the saved build sizes from: ${resolve(outputPath)}`,
+      { cause: err, path: resolve(outputPath) },
+    );
+  }
+}
+
+/**
+ * Parse the JSON Lines data written by {@link saveBuildSizes}.
+ *
+ * @private
+ * @param {string} data - The JSON Lines data.
+ * @param {string} outputPath - The path of the file, for error messages.
+ * @returns {BuildSizeRecord[]} The saved records.
+ */
+function parseRecords(data, outputPath) {
+  return data.split(/\r?\n/).flatMap((line, index) => {
+    if (!line.trim()) return [];
+
+    try {
+      return [JSON.parse(line)];
+    } catch (err) {
+      throw new BuildSizesError(
+        "OUTFILE_UNREADABLE",
+        `Invalid JSON on line ${index + 1} of: ${resolve(outputPath)}`,
+        { cause: err, path: resolve(outputPath) },
+      );
+    }
+  });
+}
+
+/**
+ * Parse the CSV data written by {@link saveBuildSizes}, in the current schema
+ * or the original one.
+ *
+ * @private
+ * @param {string} csv - The CSV data.
+ * @param {string} outputPath - The path of the file, for error messages.
+ * @returns {SavedBuildSizes[]} The saved build sizes.
+ * @throws {BuildSizesError} With the `OUTFILE_UNREADABLE` code if the header
+ *   doesn't match any schema, e.g. when the file wasn't saved by build-sizes.
+ */
+function parseBuildSizes(csv, outputPath) {
+  const [header, ...rows] = parseCsv(csv);
+
+  if (!header) return [];
+  if (isLegacyHeader(header)) return parseLegacyBuildSizes(header, rows);
+
+  if (header[0] !== "Schema") {
+    throw new BuildSizesError(
+      "OUTFILE_UNREADABLE",
+      `The columns of the CSV file don't match the build sizes saved by any version of build-sizes, so it won't be read or migrated: ${resolve(outputPath)}`,
+      { path: resolve(outputPath) },
+    );
+  }
+
+  return rows.map((row) =>
+    header.reduce((record, column, index) => {
+      const value = index < row.length ? row[index] : "";
+
+      // empty cells are metrics that weren't measured for the build
+      if (column === "Schema" || value === "") return record;
+
+      if (column === "Dirty") record[column] = value === "true";
+      else
+        record[column] = META_COLUMNS.includes(column) ? value : toValue(value);
+      return record;
+    }, {}),
+  );
+}
+
+/**
+ * Determine whether a CSV header was written by a version of
+ * {@link saveBuildSizes} before the schema was versioned, e.g.
+ * "Version,,Timestamp,mainBundleName,...,(File sizes in bytes)". The leading
+ * "Version" column is missing when there wasn't a package.json file.
+ *
+ * @private
+ * @param {string[]} header - The column names.
+ * @returns {boolean} Whether the header is in the original schema.
+ */
+function isLegacyHeader(header) {
+  const start = header[0] === "Version" ? 1 : 0;
+  const columns = header.slice(start + 2, -1);
+
+  return (
+    header[start] === "" &&
+    header[start + 1] === "Timestamp" &&
+    header.at(-1) === "(File sizes in bytes)" &&
+    columns.length > 0 &&
+    columns.every((column) => LEGACY_COLUMNS.includes(column))
+  );
+}
+
+/**
+ * Parse the CSV data written by versions of {@link saveBuildSizes} before the
+ * schema was versioned. The header starts with "Version," (including the
+ * empty column) when there was a package.json file the first time the build
+ * sizes were saved, and ends with a "(File sizes in bytes)" note. The
+ * timestamps are locale dependent, so they're left as is.
+ *
+ * @private
+ * @param {string[]} header - The column names.
+ * @param {string[][]} rows - The cells of each row.
+ * @returns {SavedBuildSizes[]} The saved build sizes.
+ */
+function parseLegacyBuildSizes(header, rows) {
+  const timestamp = header.indexOf("Timestamp");
+
+  return rows.map((row) => {
+    // the Version column is only written with the header, so rows saved with
+    // a version under a header without one (or vice versa) are shifted
+    const shift = timestamp === -1 ? 0 : (row[0] ? 2 : 1) - timestamp;
+
+    return header.reduce(
+      (record, column, index) => {
+        const cell = index >= timestamp ? index + shift : index;
+        const value = cell < row.length ? row[cell] : "";
+
+        // skip the empty column and the "(File sizes in bytes)" note
+        if (!column || column.startsWith("(") || value === "") return record;
+
+        record[column] =
+          column === "Version" || column === "Timestamp"
+            ? value
+            : toValue(value);
+        return record;
+      },
+      shift > 0 ? { Version: row[0] } : {},
+    );
+  });
+}
+
+// numbers are converted back from text, everything else is left as is
+const toValue = (value) =>
+  value.trim() !== "" && !isNaN(value) ? Number(value) : value;
+
+/**
+ * Split CSV data into rows of cells, following RFC 4180. Quoted cells can
+ * contain commas, line breaks, and quotes (escaped by doubling them).
+ *
+ * @private
+ * @param {string} csv - The CSV data.
+ * @returns {string[][]} The cells of each non-empty row.
+ */
+function parseCsv(csv) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < csv.length; i++) {
+    const char = csv[i];
+
+    if (quoted) {
+      if (char !== '"') cell += char;
+      else if (csv[i + 1] === '"') cell += csv[i++];
+      else quoted = false;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      // treat CRLF as a single line break
+      if (char === "\r" && csv[i + 1] === "\n") i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) rows.push([...row, cell]);
+
+  // blank lines aren't rows
+  return rows.filter((cells) => cells.length > 1 || cells[0].trim());
+}
+
+/**
+ * Format a CSV line, quoting the cells that need it according to RFC 4180.
+ *
+ * @private
+ * @param {Array<string|number|undefined>} cells - The cells, where missing
+ *   values are left empty.
+ * @returns {string} The line, including the line break.
+ */
+function toCsvLine(cells) {
+  return `${cells
+    .map((cell) => {
+      const text = cell === undefined || cell === null ? "" : String(cell);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",")}\n`;
+}
+
+// the row of a record, which is in the current schema unless it was saved in
+// an older one
+const toCsvRow = (columns, record, schema = SCHEMA_VERSION) =>
+  toCsvLine(
+    columns.map((column) => (column === "Schema" ? schema : record[column])),
+  );
+
+/**
+ * Summarize how each numeric metric of the saved build sizes changed over
+ * time, e.g. to find the builds that made the main bundle bigger. Builds that
+ * are missing a metric, e.g. those saved before it was measured, are skipped
+ * for that metric.
+ *
+ * @since v3.3.0
+ * @param {SavedBuildSizes[]} records - The saved build sizes, oldest first, see
+ *   {@link readBuildSizes}.
+ * @param {object} [options] - How the metrics are summarized.
+ * @param {number} [options.last] - The number of most recent builds used for
+ *   the trend.
+ * @param {number} [options.regressions] - The maximum number of regressions
+ *   listed for each metric.
+ * @returns {MetricTrend[]} The trend of each metric, in the order of the CSV
+ *   columns.
+ */
+function getBuildSizeTrends(records, { last = 10, regressions = 3 } = {}) {
+  const metrics = [
+    ...new Set(records.flatMap((record) => Object.keys(record))),
+  ].filter((metric) =>
+    records.some((record) => typeof record[metric] === "number"),
+  );
+
+  return metrics.map((metric) => {
+    const saved = records.filter(
+      (record) => typeof record[metric] === "number",
+    );
+    const values = saved.map((record) => record[metric]);
+    const change = (base, head) =>
+      diffBuildSizes({ [metric]: base }, { [metric]: head })[metric];
+
+    // the increase from each build to the next, biggest first
+    const increases = saved
+      .slice(1)
+      .map((record, index) => ({
+        ...change(values[index], record[metric]),
+        Version: record.Version,
+        Timestamp: record.Timestamp,
+        ...(record.Commit && { Commit: record.Commit }),
+      }))
+      .filter((step) => step.delta > 0)
+      .sort((a, b) => b.delta - a.delta);
+
+    const recent = values.slice(-last);
+    // the newest build can be missing the metric, e.g. after it was disabled
+    const newest = records[records.length - 1][metric];
+
+    return {
+      metric,
+      values,
+      latest: typeof newest === "number" ? newest : null,
+      min: Math.min(...values),
+      max: Math.max(...values),
+      trend: {
+        builds: recent.length,
+        ...change(recent[0], recent[recent.length - 1]),
+      },
+      regressions: increases.slice(0, regressions),
+    };
+  });
+}
+
+/**
+ * The {@link BuildSizes} saved to a CSV file, along with the package version,
+ * a timestamp, and the git and CI metadata.
+ *
+ * @typedef {BuildSizes} SavedBuildSizes
+ * @property {string} [Package] - The name of the package that was built, when
+ *   saved with one.
+ * @property {string} [Path] - The path to the build directory, when saved
+ *   with one.
+ * @property {string} [Version] - The package version when the build sizes were saved.
+ * @property {string} Timestamp - When the build sizes were saved, as an ISO
+ *   8601 timestamp. Rows saved by older versions of build-sizes have a locale
+ *   dependent timestamp instead, e.g. "4/20/24 at 4:20:00 PM EDT".
+ * @property {string} [Commit] - The commit SHA, see {@link GitInfo}.
+ * @property {string} [Branch] - The branch.
+ * @property {string} [CommitDate] - When the commit was made.
+ * @property {boolean} [Dirty] - Whether there were uncommitted changes.
+ * @property {string} [CI] - The CI provider, see {@link CiInfo}.
+ * @property {string} [RunId] - The ID of the CI run.
+ * @property {string} [PullRequest] - The number of the pull request.
+ * @see {@link readBuildSizes}
+ */
+
+/**
+ * The build sizes and details of a build saved to a JSON Lines file, one
+ * record per line.
+ *
+ * @typedef {object} BuildSizeRecord
+ * @property {number} schema - The version of the record schema.
+ * @property {string} timestamp - When the build sizes were saved, as an ISO
+ *   8601 timestamp.
+ * @property {string} [package] - The name of the package that was built, when
+ *   saved with one.
+ * @property {string} [version] - The package version when the build sizes
+ *   were saved.
+ * @property {GitInfo} [git] - The commit that was checked out, when saved in
+ *   a git repository.
+ * @property {CiInfo} [ci] - The CI run that saved the build sizes, when saved
+ *   by a known CI provider.
+ * @property {BuildSizes} buildSizes - The build sizes.
+ * @property {{name: string, version: string}} [tool] - The tool that saved the
+ *   record, when saved by the CLI.
+ * @property {string} [path] - The path to the build directory, when saved
+ *   with one.
+ * @property {object} [options] - The CLI options used to determine the build
+ *   sizes, when saved by the CLI.
+ * @property {FileSizes[]} [fileReport] - The size of each file, when saved by
+ *   the CLI with the --top flag.
+ * @property {TypeReport} [typeReport] - The sizes of each category and
+ *   extension, when saved by the CLI with the --types flag.
+ * @property {EntrySizes[]} [entryReport] - The sizes of each entry point,
+ *   when saved by the CLI with the --metafile flag.
+ * @property {SourceMapReport[]} [sourceMapReport] - The sources of each main
+ *   bundle, when saved by the CLI with the --sourcemap flag.
+ * @property {BudgetResult[]} [budgets] - The results of the size budgets, when
+ *   saved by the CLI with the --budget flag.
+ * @see {@link readBuildSizeRecords}
+ */
+
+/**
+ * How a metric of the saved build sizes changed over time.
+ *
+ * @typedef {object} MetricTrend
+ * @property {string} metric - The metric, e.g. "mainBundleSizeBrotli".
+ * @property {number[]} values - The value of each build, oldest first.
+ * @property {number|null} latest - The value of the most recent build, or
+ *   null when it doesn't have the metric.
+ * @property {number} min - The smallest value.
+ * @property {number} max - The largest value.
+ * @property {BuildSizeDelta & {builds: number}} trend - The difference over
+ *   the most recent builds, and how many builds that covers.
+ * @property {Array<BuildSizeDelta & {Version?: string, Timestamp: string, Commit?: string}>} regressions -
+ *   The biggest increases from one build to the next, along with the version,
+ *   timestamp, and commit of the build that increased.
+ * @see {@link getBuildSizeTrends}
+ */
+
+export {
+  findBuildSizesByCommit,
+  getBuildSizeTrends,
+  OUTFILE_FORMATS,
+  readBuildSizeRecords,
+  readBuildSizes,
+  saveBuildSizes,
+};
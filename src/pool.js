@@ -0,0 +1,295 @@
+import * as os from "node:os";
+import { Worker } from "node:worker_threads";
+import { hashFile, openCache } from "./cache.js";
+import {
+  getFileSizeBrotli,
+  getFileSizeGzip,
+  getFileSizeZstd,
+  getZlibOptions,
+  isZstdSupported,
+} from "./compression.js";
+import { BuildSizesError } from "./errors.js";
+
+/**
+ * The source of the compression workers. The workers are evaluated from a
+ * string so they keep working when the package is bundled to a single file.
+ *
+ * @private
+ */
+const WORKER_SOURCE = `
+(async () => {
+  // dynamic imports work whether the worker is evaluated as CJS or ESM
+  const { readFile } = await import("node:fs/promises");
+  const { parentPort } = await import("node:worker_threads");
+  const zlib = await import("node:zlib");
+
+  const COMPRESS = {
+    gzip: zlib.gzipSync,
+    brotli: zlib.brotliCompressSync,
+    zstd: zlib.zstdCompressSync,
+  };
+
+  parentPort.on("message", async ({ index, path, formats }) => {
+    try {
+      const data = await readFile(path);
+      const sizes = {};
+      for (const [format, options] of Object.entries(formats)) {
+        sizes[format] = COMPRESS[format](data, options).length;
+      }
+      parentPort.postMessage({ index, sizes });
+    } catch (err) {
+      parentPort.postMessage({
+        index,
+        error: { message: err.message, code: err.code, path },
+      });
+    }
+  });
+})();
+`;
+
+/**
+ * Get the maximum number of parallel tasks, which defaults to the number of
+ * CPUs available to the process.
+ *
+ * @private
+ * @param {number} [concurrency] - The requested concurrency.
+ * @returns {number} The concurrency.
+ */
+const getConcurrency = (concurrency) =>
+  concurrency ||
+  // availableParallelism was added in Node v18.14.0, and the CPUs aren't
+  // always known, e.g. in some containers
+  (os.availableParallelism ? os.availableParallelism() : os.cpus().length) ||
+  1;
+
+/**
+ * Map items to promises, running at most `concurrency` at a time. The results
+ * are in the same order as the items, regardless of which settle first.
+ *
+ * @private
+ * @param {any[]} items - The items to map.
+ * @param {number} concurrency - The maximum number of pending promises.
+ * @param {function(any, number): Promise<any>} fn - The async mapper.
+ * @returns {Promise<any[]>} The results, in the order of the items.
+ */
+async function mapLimit(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const limit = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: limit }, run));
+  return results;
+}
+
+/**
+ * Compress files using each enabled format, spreading the work across a pool
+ * of worker threads. With a concurrency of 1, the files are compressed one at
+ * a time on the main thread instead.
+ *
+ * @private
+ * @param {string[]} paths - The paths of the files to compress.
+ * @param {CompressionOptions} [compression] - The compression settings. The
+ *   zstd size is only included when zstd is enabled and supported.
+ * @param {object} [options] - How the files are compressed.
+ * @param {number} [options.concurrency] - The maximum number of worker
+ *   threads, defaults to the number of CPUs.
+ * @param {boolean|string} [options.cache] - Reuse the sizes of files that were
+ *   compressed with the same settings before, see {@link openCache}.
+ * @param {Memo} [options.memo] - Reuse the sizes of files that were
+ *   compressed earlier in the same measurement, see {@link createMemo}.
+ * @returns {Promise<Array<{gzip: number, brotli: number, zstd?: number}>>}
+ *   The compressed sizes of each file, in the order of the paths.
+ */
+async function compressFiles(paths, compression = {}, options = {}) {
+  const zstd = compression.zstd && isZstdSupported();
+  const limit = getConcurrency(options.concurrency);
+
+  // the zlib options identify the settings in the cache, and are cloned to
+  // each worker, so they are only built once
+  const formats = {
+    gzip: getZlibOptions("gzip", compression.gzip),
+    brotli: getZlibOptions("brotli", compression.brotli),
+    ...(zstd && { zstd: getZlibOptions("zstd", compression.zstd) }),
+  };
+
+  // the reports of a CLI run share the compressed sizes, see createMemo
+  const { memo } = options;
+  if (memo) {
+    const key = (path, format) =>
+      `${path}:${format}:${JSON.stringify(formats[format])}`;
+    const missing = [
+      ...new Set(
+        paths.filter((path) =>
+          Object.keys(formats).some(
+            (format) => !memo.sizes.has(key(path, format)),
+          ),
+        ),
+      ),
+    ];
+
+    const compressed = missing.length
+      ? await compressFiles(missing, compression, { ...options, memo: null })
+      : [];
+    missing.forEach((path, index) => {
+      for (const format of Object.keys(formats)) {
+        memo.sizes.set(key(path, format), compressed[index][format]);
+      }
+    });
+
+    return paths.map((path) =>
+      Object.fromEntries(
+        Object.keys(formats).map((format) => [
+          format,
+          memo.sizes.get(key(path, format)),
+        ]),
+      ),
+    );
+  }
+
+  const compress = (files) =>
+    limit <= 1 || files.length <= 1
+      ? mapLimit(files, 1, async (path) => ({
+          gzip: await getFileSizeGzip(path, compression.gzip),
+          brotli: await getFileSizeBrotli(path, compression.brotli),
+          ...(zstd && { zstd: await getFileSizeZstd(path, compression.zstd) }),
+        }))
+      : runWorkers(
+          files.map((path) => ({ path, formats })),
+          Math.min(limit, files.length),
+        );
+
+  if (!options.cache) return compress(paths);
+
+  const cache = await openCache(options.cache);
+  const hashes = await mapLimit(paths, limit, hashFile);
+  const key = (index, format) =>
+    `${hashes[index]}:${format}:${JSON.stringify(formats[format])}`;
+
+  // the cached sizes of each file, or null if any format is missing
+  const results = paths.map((path, index) => {
+    const sizes = {};
+    for (const format of Object.keys(formats)) {
+      sizes[format] = cache.get(key(index, format));
+      if (sizes[format] === undefined) return null;
+    }
+    return sizes;
+  });
+
+  const missing = [...results.keys()].filter((index) => !results[index]);
+  if (!missing.length) return results;
+
+  const compressed = await compress(missing.map((index) => paths[index]));
+  missing.forEach((index, i) => {
+    results[index] = compressed[i];
+    for (const format of Object.keys(formats)) {
+      cache.set(key(index, format), compressed[i][format]);
+    }
+  });
+
+  await cache.save();
+  return results;
+}
+
+/**
+ * Run compression jobs on a pool of worker threads, which are terminated once
+ * every job is done or one of them fails. A worker that exits unexpectedly,
+ * e.g. from running out of memory, fails the job it was running, or is
+ * replaced while there are jobs left.
+ *
+ * @private
+ * @param {Array<{path: string, formats: object}>} jobs - The files to
+ *   compress and the zlib options of each format.
+ * @param {number} size - The number of worker threads.
+ * @returns {Promise<object[]>} The compressed sizes, in the order of the jobs.
+ */
+function runWorkers(jobs, size) {
+  return new Promise((resolve, reject) => {
+    const results = new Array(jobs.length);
+    const workers = new Set();
+    // the index of the job each worker is running
+    const running = new Map();
+    let next = 0;
+    let done = 0;
+    let settled = false;
+
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      workers.forEach((worker) => worker.terminate());
+      err ? reject(err) : resolve(results);
+    };
+
+    const dispatch = (worker) => {
+      if (next < jobs.length) {
+        const index = next++;
+        running.set(worker, index);
+        worker.postMessage({ index, ...jobs[index] });
+      }
+    };
+
+    const spawn = () => {
+      const worker = new Worker(WORKER_SOURCE, { eval: true });
+
+      worker.on("message", ({ index, sizes, error }) => {
+        running.delete(worker);
+
+        if (error) {
+          const cause = Object.assign(new Error(error.message), {
+            code: error.code,
+          });
+          return finish(
+            new BuildSizesError(
+              "COMPRESSION_FAILED",
+              `Unable to get the compressed sizes of: ${error.path}`,
+              { cause, path: error.path },
+            ),
+          );
+        }
+
+        results[index] = sizes;
+        done += 1;
+        done === jobs.length ? finish() : dispatch(worker);
+      });
+      worker.on("error", (cause) =>
+        finish(
+          new BuildSizesError(
+            "COMPRESSION_FAILED",
+            "A compression worker thread crashed.",
+            { cause },
+          ),
+        ),
+      );
+      // the workers only exit on their own if something went wrong
+      worker.on("exit", (code) => {
+        workers.delete(worker);
+        if (settled) return;
+
+        if (running.has(worker)) {
+          const { path } = jobs[running.get(worker)];
+          return finish(
+            new BuildSizesError(
+              "COMPRESSION_FAILED",
+              `A compression worker thread exited with code ${code} while compressing: ${path}`,
+              { path },
+            ),
+          );
+        }
+        if (next < jobs.length) spawn();
+      });
+
+      workers.add(worker);
+      dispatch(worker);
+    };
+
+    for (let i = 0; i < size; i++) spawn();
+  });
+}
+
+export { compressFiles, getConcurrency, mapLimit };
@@ -0,0 +1,1145 @@
+import { formatBytes } from "./bytes.js";
+import { diffBuildSizes } from "./compare.js";
+import { getBundlePrefix } from "./files.js";
+
+// bold and underline text using ansi codes
+const underline = (text) => `\x1b[4m${text}\x1b[0m`;
+// const bold = (text) => `\u001b[1m${text}\x1b[0m`;
+
+// counts aren't bytes, so they shouldn't be formatted as such
+const isCount = (metric) => metric.endsWith("Count");
+
+/**
+ * Format the value of a {@link BuildSizes} metric, bytes are converted to a
+ * human readable size and everything else is left as is.
+ *
+ * @private
+ * @param {string} metric - The metric being formatted.
+ * @param {number|string} value - The value of the metric.
+ * @param {number} decimals - The decimal precision for rounding bytes.
+ * @param {boolean} binary - The binary or decimal unit conversion.
+ * @returns {number|string} The formatted value.
+ */
+const formatMetric = (metric, value, decimals, binary) =>
+  typeof value !== "number" || isCount(metric)
+    ? value
+    : formatBytes(value, decimals, binary);
+
+/**
+ * Log the build sizes using the CLI's default layout.
+ *
+ * @private
+ * @param {Report[]} reports - The build sizes of each build path.
+ * @param {ReportSettings} settings - The formatting options.
+ */
+function reportConsole(reports, settings) {
+  reports.forEach((report) =>
+    logBuildSizes(report, settings, reports.length > 1),
+  );
+
+  if (reports.length > 1) {
+    const [header, , rows] = getPackageTable(reports, settings);
+    console.log(`${underline("Packages")}\n${textTable(header, rows)}\n`);
+  }
+}
+
+/**
+ * Log the build sizes as a single JSON document. The document is an array
+ * when reporting on multiple builds.
+ *
+ * @private
+ * @param {Report[]} reports - The build sizes of each build path.
+ * @param {ReportSettings} settings - The formatting options.
+ */
+function reportJson(reports, settings) {
+  const records = reports.map((report) => toRecord(report, settings));
+  const json = JSON.stringify(
+    records.length === 1 ? records[0] : records,
+    null,
+    2,
+  );
+  process.stdout.write(`${json}\n`);
+}
+
+/**
+ * Log the build sizes as newline delimited JSON, one line per build.
+ *
+ * @private
+ * @param {Report[]} reports - The build sizes of each build path.
+ * @param {ReportSettings} settings - The formatting options.
+ */
+const reportNdjson = (reports, settings) =>
+  reports.forEach((report) =>
+    process.stdout.write(`${JSON.stringify(toRecord(report, settings))}\n`),
+  );
+
+/**
+ * Log the build sizes as GitHub flavored Markdown tables, which can be posted
+ * as a pull request comment verbatim.
+ *
+ * @private
+ * @param {Report[]} reports - The build sizes of each build path.
+ * @param {ReportSettings} settings - The formatting options.
+ */
+function reportMarkdown(reports, settings) {
+  const markdown = reports.map((report) => {
+    const { path, buildSizes, budgetResults, deltas, files, since } = report;
+    const { baseline } = report;
+    const { types, decimals, binary } = settings;
+
+    const heading =
+      reports.length > 1
+        ? `## Build sizes of \`${escapeMarkdown(path)}\``
+        : "## Build sizes";
+
+    // the change columns are only useful when there is something to compare
+    const comparisons = [deltas, baseline && baseline.deltas].filter(Boolean);
+    const columns = ["Metric", "Value", "Change", "Total change"].slice(
+      0,
+      2 + comparisons.length,
+    );
+    const change = (changes, metric) =>
+      changes[metric]
+        ? escapeMarkdown(formatDelta(metric, changes[metric], decimals, binary))
+        : "";
+    const table = (rows) =>
+      markdownTable(
+        columns,
+        rows.map(([label, metric]) => [
+          label,
+          metric.endsWith("BundleName")
+            ? `\`${escapeMarkdown(buildSizes[metric])}\``
+            : formatMetric(metric, buildSizes[metric], decimals, binary),
+          ...comparisons.map((changes) => change(changes, metric)),
+        ]),
+        ["---", "---:", "---:", "---:"],
+      );
+
+    const sections = [
+      heading,
+      deltas && since ? `Compared to ${escapeMarkdown(since)}` : "",
+      baseline ? `Total change since ${escapeMarkdown(baseline.since)}` : "",
+      "### Build",
+      table([
+        ["File count", "buildFileCount"],
+        ["Size", "buildSize"],
+        ...(buildSizes.buildSizeOnDisk
+          ? [["Size on disk", "buildSizeOnDisk"]]
+          : []),
+        ...("buildSizeGzip" in buildSizes
+          ? [
+              ["Gzip size", "buildSizeGzip"],
+              ["Brotli size", "buildSizeBrotli"],
+            ]
+          : []),
+        ...("buildSizeZstd" in buildSizes
+          ? [["Zstd size", "buildSizeZstd"]]
+          : []),
+        ...(buildSizes.compression ? [["Compression", "compression"]] : []),
+      ]),
+      ...types.flatMap((type, index) => {
+        const prefix = getBundlePrefix(type, index);
+        return [
+          `### Main ${type.toUpperCase()} bundle`,
+          table([
+            ["Name", `${prefix}Name`],
+            ["Size", `${prefix}Size`],
+            ["Gzip size", `${prefix}SizeGzip`],
+            ["Brotli size", `${prefix}SizeBrotli`],
+            ...(`${prefix}SizeZstd` in buildSizes
+              ? [["Zstd size", `${prefix}SizeZstd`]]
+              : []),
+          ]),
+        ];
+      }),
+    ];
+
+    if (report.entryReport) {
+      sections.push(
+        "### Entry points",
+        markdownTable(
+          ENTRY_COLUMNS,
+          entryRows(
+            report.entryReport,
+            decimals,
+            binary,
+            (name) => `\`${escapeMarkdown(name)}\``,
+          ),
+          ["---", "---", "---:", "---:", "---:", "---:"],
+        ),
+      );
+    }
+
+    if (files) {
+      const limit = 10;
+      const format = (bytes) => formatBytes(Math.abs(bytes), decimals, binary);
+      const changes = [
+        ...files.added.map((file) => ["Added", file]),
+        ...files.removed.map((file) => ["Removed", file]),
+        ...files.changed.map((file) => ["Changed", file]),
+      ].sort(([, a], [, b]) => Math.abs(b.delta) - Math.abs(a.delta));
+
+      sections.push(
+        "### Files",
+        `${files.added.length} added, ${files.removed.length} removed, ${files.changed.length} changed`,
+      );
+
+      if (changes.length) {
+        sections.push(
+          markdownTable(
+            ["File", "Status", "Before", "After", "Change"],
+            changes
+              .slice(0, limit)
+              .map(([status, { path, base, head, delta }]) => [
+                `\`${escapeMarkdown(path)}\``,
+                status,
+                format(base),
+                format(head),
+                `${delta > 0 ? "▲" : "▼"} ${format(delta)}`,
+              ]),
+            ["---", "---", "---:", "---:", "---:"],
+          ),
+        );
+      }
+
+      if (changes.length > limit) {
+        sections.push(`...and ${changes.length - limit} more`);
+      }
+    }
+
+    if (report.fileReport) {
+      const format = (bytes) => formatBytes(bytes, decimals, binary);
+
+      sections.push(
+        "### Largest files",
+        markdownTable(
+          ["File", "Size", "Gzip", "Brotli", "Share"],
+          report.fileReport.map(
+            ({ path, size, sizeGzip, sizeBrotli, share }) => [
+              `\`${escapeMarkdown(path)}\``,
+              format(size),
+              format(sizeGzip),
+              format(sizeBrotli),
+              `${share.toFixed(decimals)}%`,
+            ],
+          ),
+          ["---", "---:", "---:", "---:", "---:"],
+        ),
+      );
+    }
+
+    if (report.sourceMapReport) {
+      for (const bundle of report.sourceMapReport) {
+        const { title, summary, tables } = getSourceMapTables(
+          bundle,
+          decimals,
+          binary,
+          (name) => `\`${escapeMarkdown(name)}\``,
+        );
+
+        sections.push(
+          `### ${title}`,
+          escapeMarkdown(summary),
+          ...tables.map(([header, rows]) =>
+            markdownTable(header, rows, ["---", "---:", "---:"]),
+          ),
+        );
+      }
+    }
+
+    if (report.typeReport) {
+      const { categories, extensions } = report.typeReport;
+      const alignment = ["---", "---:", "---:", "---:", "---:", "---:"];
+
+      sections.push(
+        "### Categories",
+        markdownTable(
+          TYPE_COLUMNS,
+          categories.map((group) =>
+            typeRow(CATEGORY_LABELS[group.name], group, decimals, binary),
+          ),
+          alignment,
+        ),
+        "### File extensions",
+        markdownTable(
+          TYPE_COLUMNS,
+          extensions.map((group) =>
+            typeRow(escapeMarkdown(group.name), group, decimals, binary),
+          ),
+          alignment,
+        ),
+      );
+    }
+
+    if (budgetResults.length) {
+      const format = (metric, value) =>
+        formatMetric(metric, value, decimals, binary);
+
+      sections.push(
+        "### Budgets",
+        markdownTable(
+          ["Metric", "Value", "Budget", "Status"],
+          budgetResults.map(({ metric, budget, actual, passed }) => [
+            metric,
+            format(metric, actual),
+            format(metric, budget),
+            passed ? "✅ Pass" : "❌ Fail",
+          ]),
+          ["---", "---:", "---:", "---"],
+        ),
+      );
+    }
+
+    return sections.filter(Boolean).join("\n\n");
+  });
+
+  if (reports.length > 1) {
+    const [header, alignment, rows] = getPackageTable(
+      reports,
+      settings,
+      escapeMarkdown,
+    );
+    markdown.push(`## Packages\n\n${markdownTable(header, rows, alignment)}`);
+  }
+
+  process.stdout.write(`${markdown.join("\n\n")}\n`);
+}
+
+/**
+ * Create a table with a row per build and a grand total, for comparing the
+ * packages of a monorepo at a glance. Builds without a package are labeled by
+ * their path.
+ *
+ * @private
+ * @param {Report[]} reports - The build sizes of each build path.
+ * @param {ReportSettings} settings - The formatting options.
+ * @param {function(string): string} [text] - Escapes the text of a cell.
+ * @returns {[string[], string[], string[][]]} The header, the alignment of
+ *   each column for Markdown, and the rows.
+ */
+function getPackageTable(reports, settings, text = (value) => value) {
+  const { decimals, binary } = settings;
+  const metrics = [
+    ["Files", "buildFileCount"],
+    ["Size", "buildSize"],
+    ["Main bundle", "mainBundleSize"],
+    ["Brotli", "mainBundleSizeBrotli"],
+  ];
+
+  // the total change only covers the builds that have something to compare
+  const compared = reports.filter(
+    (report) => report.deltas && report.deltas.buildSize,
+  );
+  const header = [
+    "Package",
+    "Version",
+    ...metrics.map(([label]) => label),
+    ...(compared.length ? ["Change"] : []),
+  ];
+  const alignment = ["---", "---", ...header.slice(2).map(() => "---:")];
+
+  const sum = (values) =>
+    values.reduce(
+      (total, value) => total + (typeof value === "number" ? value : 0),
+      0,
+    );
+  const row = (label, version, buildSizes, change) => [
+    text(label),
+    // the total has no version
+    version === null ? "" : text(version || "-"),
+    ...metrics.map(([, metric]) =>
+      metric in buildSizes
+        ? formatMetric(metric, buildSizes[metric], decimals, binary)
+        : "-",
+    ),
+    ...(compared.length
+      ? [
+          change
+            ? text(formatDelta("buildSize", change, decimals, binary))
+            : "-",
+        ]
+      : []),
+  ];
+
+  const total = Object.fromEntries(
+    metrics.map(([, metric]) => [
+      metric,
+      sum(reports.map((report) => report.buildSizes[metric])),
+    ]),
+  );
+  const totalChange =
+    compared.length &&
+    diffBuildSizes(
+      { buildSize: sum(compared.map(({ deltas }) => deltas.buildSize.base)) },
+      { buildSize: sum(compared.map(({ deltas }) => deltas.buildSize.head)) },
+    ).buildSize;
+
+  return [
+    header,
+    alignment,
+    [
+      ...reports.map((report) =>
+        row(
+          report.package ? report.package.name : report.path,
+          report.package && report.package.version,
+          report.buildSizes,
+          report.deltas && report.deltas.buildSize,
+        ),
+      ),
+      row("Total", null, total, totalChange),
+    ],
+  ];
+}
+
+/**
+ * Create a GitHub flavored Markdown table.
+ *
+ * @private
+ * @param {string[]} header - The column names.
+ * @param {Array<Array<number|string>>} rows - The cells of each row.
+ * @param {string[]} alignment - The delimiter of each column, e.g. "---:".
+ * @returns {string} The Markdown table.
+ */
+const markdownTable = (header, rows, alignment) =>
+  [header, alignment.slice(0, header.length), ...rows]
+    .map((cells) => `| ${cells.join(" | ")} |`)
+    .join("\n");
+
+// pipes would break the table, even when they are in inline code
+const escapeMarkdown = (text) => String(text).replace(/\|/g, "\\|");
+
+/**
+ * Convert a report to the record logged by the JSON reporters.
+ *
+ * @private
+ * @param {Report} report - The build sizes and additional info.
+ * @param {ReportSettings} settings - The formatting options.
+ * @returns {JsonRecord} The JSON record.
+ */
+function toRecord(report, settings) {
+  const { path, buildSizes, budgetResults, deltas, files, since } = report;
+  const { decimals, binary, options, version } = settings;
+
+  // human readable sizes of the byte metrics
+  const formatted = {};
+  for (const [metric, value] of Object.entries(buildSizes)) {
+    if (typeof value === "number" && !isNaN(value) && !isCount(metric)) {
+      formatted[metric] = formatBytes(value, decimals, binary);
+    }
+  }
+
+  return {
+    tool: { name: "build-sizes", version },
+    path,
+    ...(report.package && { package: report.package }),
+    options,
+    buildSizes,
+    formatted,
+    ...(deltas && { deltas, since }),
+    ...(report.baseline && { baseline: report.baseline }),
+    ...(files && { files }),
+    ...(report.fileReport && { fileReport: report.fileReport }),
+    ...(report.typeReport && { typeReport: report.typeReport }),
+    ...(report.entryReport && { entryReport: report.entryReport }),
+    ...(report.sourceMapReport && { sourceMapReport: report.sourceMapReport }),
+    ...(budgetResults.length && { budgets: budgetResults }),
+  };
+}
+
+/**
+ * Log the build sizes to the console, along with the differences from another
+ * build (or the last saved build sizes) and the budget results when provided.
+ *
+ * @private
+ * @param {Report} report - The build sizes and additional info to log.
+ * @param {ReportSettings} settings - The formatting options.
+ * @param {boolean} [showPath] - Whether to log the build path, which is
+ *   useful when reporting on multiple builds.
+ */
+function logBuildSizes(report, settings, showPath = false) {
+  const { buildSizes, budgetResults, deltas, files, since, baseline } = report;
+  const { types, decimals, binary } = settings;
+
+  // make logs look noice
+  const title = "|> Application Build Sizes <|";
+  const line = "-".repeat(title.length);
+
+  // gets build size unit by determining char length
+  // byte (B) is 1 char and the rest are 2 (KB, MB, etc.)
+  const sizeUnit = (size) =>
+    size.slice(-size.match(/\s+\S*$/)[0].trim().length);
+
+  const output = [`\n${line}\n${title}\n${line}`];
+  if (deltas && since) {
+    output.push(
+      `\nCompared to ${since}`,
+      ...(baseline
+        ? [`\nTotal change since ${baseline.since} in brackets`]
+        : []),
+      `\n${line}`,
+    );
+  }
+
+  const delta = (metric) => [
+    ...(deltas && deltas[metric]
+      ? [`(${formatDelta(metric, deltas[metric], decimals, binary)})`]
+      : []),
+    ...(baseline && baseline.deltas[metric]
+      ? [`[${formatDelta(metric, baseline.deltas[metric], decimals, binary)}]`]
+      : []),
+  ];
+
+  const logCount = (label, metric) =>
+    output.push(`\n --> ${label}:`, buildSizes[metric], ...delta(metric));
+
+  const logSize = (label, metric) => {
+    const formatted = formatBytes(buildSizes[metric], decimals, binary);
+    output.push(
+      `\n --> ${label}:`,
+      // for number syntax highlighting
+      Number(formatted.slice(0, -2)),
+      sizeUnit(formatted),
+      ...delta(metric),
+    );
+  };
+
+  output.push(`\n${underline(showPath ? `Build (${report.path})` : "Build")}`);
+  logCount("file count", "buildFileCount");
+  logSize("size", "buildSize");
+  // old saved build sizes may not have a size on disk
+  if (buildSizes.buildSizeOnDisk) logSize("size on disk", "buildSizeOnDisk");
+  // transfer sizes are only estimated when requested
+  if ("buildSizeGzip" in buildSizes) logSize("gzip size", "buildSizeGzip");
+  if ("buildSizeBrotli" in buildSizes) {
+    logSize("brotli size", "buildSizeBrotli");
+  }
+  if ("buildSizeZstd" in buildSizes) logSize("zstd size", "buildSizeZstd");
+  // the compression settings are only included when they aren't the defaults
+  if (buildSizes.compression) logCount("compression", "compression");
+
+  output.push(`\n${line}`);
+
+  types.forEach((type, index) => {
+    const prefix = getBundlePrefix(type, index);
+    output.push(`\n${underline(`Main ${type.toUpperCase()} bundle`)}`);
+    logCount("name", `${prefix}Name`);
+    logSize("size", `${prefix}Size`);
+    logSize("gzip size", `${prefix}SizeGzip`);
+    logSize("brotli size", `${prefix}SizeBrotli`);
+    if (`${prefix}SizeZstd` in buildSizes) {
+      logSize("zstd size", `${prefix}SizeZstd`);
+    }
+    output.push(`\n${line}`);
+  });
+
+  if (report.entryReport) {
+    output.push(
+      formatEntryReport(report.entryReport, decimals, binary),
+      `\n${line}`,
+    );
+  }
+
+  if (report.fileReport) {
+    output.push(
+      formatFileReport(report.fileReport, decimals, binary),
+      `\n${line}`,
+    );
+  }
+
+  if (report.typeReport) {
+    output.push(
+      formatTypeReport(report.typeReport, decimals, binary),
+      `\n${line}`,
+    );
+  }
+
+  if (report.sourceMapReport) {
+    report.sourceMapReport.forEach((bundle) =>
+      output.push(formatSourceMapReport(bundle, decimals, binary), `\n${line}`),
+    );
+  }
+
+  if (files) {
+    output.push(formatFileChanges(files, decimals, binary), `\n${line}`);
+  }
+
+  if (budgetResults && budgetResults.length) {
+    output.push(
+      formatBudgetResults(budgetResults, decimals, binary),
+      `\n${line}`,
+    );
+  }
+
+  console.log(...output, "\n");
+}
+
+/**
+ * Format the difference of a metric from another build, e.g. "▲ 12.00 KB, +0.04%".
+ *
+ * @private
+ * @param {string} metric - The metric that changed.
+ * @param {BuildSizeDelta} change - The difference from the other build.
+ * @param {number} decimals - The decimal precision for rounding.
+ * @param {boolean} binary - The binary or decimal unit conversion.
+ * @returns {string} The formatted difference.
+ */
+function formatDelta(metric, change, decimals, binary) {
+  if (!change.changed) return "no change";
+  if (change.delta === null) return `was ${change.base}`;
+
+  const arrow = change.delta > 0 ? "▲" : "▼";
+  const amount = formatMetric(metric, Math.abs(change.delta), decimals, binary);
+  const percent =
+    change.percent === null
+      ? "new"
+      : `${change.percent > 0 ? "+" : ""}${change.percent.toFixed(decimals)}%`;
+
+  return `${arrow} ${amount}, ${percent}`;
+}
+
+/**
+ * Format the files that differ from another build as a section of the console
+ * output. Only the biggest changes of each kind are listed.
+ *
+ * @private
+ * @param {FileChanges} files - The files that differ from the base build.
+ * @param {number} decimals - The decimal precision for rounding bytes.
+ * @param {boolean} binary - The binary or decimal unit conversion.
+ * @returns {string} The added, removed, and changed files.
+ */
+function formatFileChanges(files, decimals, binary) {
+  const limit = 10;
+  const format = (bytes) => formatBytes(Math.abs(bytes), decimals, binary);
+
+  const section = (label, symbol, changes) => {
+    const listed = changes
+      .slice(0, limit)
+      .map(
+        ({ path, base, head, delta }) =>
+          `\n     ${symbol} ${path}: ${format(base)} -> ${format(head)} (${
+            delta > 0 ? "▲" : "▼"
+          } ${format(delta)})`,
+      )
+      .join("");
+    const more =
+      changes.length > limit
+        ? `\n     ... and ${changes.length - limit} more`
+        : "";
+
+    return `\n --> ${label}: ${changes.length}${listed}${more}`;
+  };
+
+  return [
+    `\n${underline("Files")}`,
+    section("added", "+", files.added),
+    section("removed", "-", files.removed),
+    section("changed", "~", files.changed),
+  ].join("");
+}
+
+/**
+ * Format the size of each file as a table in the console output.
+ *
+ * @private
+ * @param {FileSizes[]} fileReport - The results from getFileReport.
+ * @param {number} decimals - The decimal precision for rounding bytes.
+ * @param {boolean} binary - The binary or decimal unit conversion.
+ * @returns {string} The file sizes table.
+ */
+function formatFileReport(fileReport, decimals, binary) {
+  const format = (bytes) => formatBytes(bytes, decimals, binary);
+  const table = textTable(
+    ["File", "Size", "Gzip", "Brotli", "Share"],
+    fileReport.map(({ path, size, sizeGzip, sizeBrotli, share }) => [
+      path,
+      format(size),
+      format(sizeGzip),
+      format(sizeBrotli),
+      `${share.toFixed(decimals)}%`,
+    ]),
+  );
+
+  return `\n${underline("Largest files")}\n${table}`;
+}
+
+/**
+ * Format the sizes of each entry point from a bundler's metadata as a table in
+ * the console output.
+ *
+ * @private
+ * @param {EntrySizes[]} entryReport - The results from getEntryReport.
+ * @param {number} decimals - The decimal precision for rounding bytes.
+ * @param {boolean} binary - The binary or decimal unit conversion.
+ * @returns {string} The entry point sizes table.
+ */
+function formatEntryReport(entryReport, decimals, binary) {
+  return `\n${underline("Entry points")}\n${textTable(
+    ENTRY_COLUMNS,
+    entryRows(entryReport, decimals, binary),
+  )}`;
+}
+
+const ENTRY_COLUMNS = ["Entry", "Chunk", "Chunks", "Size", "Gzip", "Brotli"];
+
+/**
+ * Format the cells of each entry point row, which names the first chunk since
+ * the entry names are often source files rather than build files.
+ *
+ * @private
+ * @param {EntrySizes[]} entryReport - The results from getEntryReport.
+ * @param {number} decimals - The decimal precision for rounding bytes.
+ * @param {boolean} binary - The binary or decimal unit conversion.
+ * @param {function(string): string} [text] - Formats the entry and chunk names.
+ * @returns {string[][]} The cells of each row.
+ */
+function entryRows(entryReport, decimals, binary, text = (name) => name) {
+  const format = (bytes) => formatBytes(bytes, decimals, binary);
+
+  return entryReport.map(({ name, chunks, size, sizeGzip, sizeBrotli }) => [
+    text(name),
+    chunks.length ? text(chunks[0].path) : "-",
+    chunks.length,
+    format(size),
+    format(sizeGzip),
+    format(sizeBrotli),
+  ]);
+}
+
+/**
+ * Format the sizes of each asset category and file extension as tables in the
+ * console output.
+ *
+ * @private
+ * @param {TypeReport} typeReport - The results from getTypeReport.
+ * @param {number} decimals - The decimal precision for rounding bytes.
+ * @param {boolean} binary - The binary or decimal unit conversion.
+ * @returns {string} The category and extension tables.
+ */
+function formatTypeReport(typeReport, decimals, binary) {
+  const { categories, extensions } = typeReport;
+
+  return [
+    `\n${underline("Categories")}`,
+    textTable(
+      TYPE_COLUMNS,
+      categories.map((group) =>
+        typeRow(CATEGORY_LABELS[group.name], group, decimals, binary),
+      ),
+    ),
+    `\n${underline("File extensions")}`,
+    textTable(
+      TYPE_COLUMNS,
+      extensions.map((group) => typeRow(group.name, group, decimals, binary)),
+    ),
+  ].join("\n");
+}
+
+/**
+ * Format the attribution of a bundle's bytes to its sources as tables in the
+ * console output.
+ *
+ * @private
+ * @param {SourceMapReport} bundle - A result from getSourceMapReport.
+ * @param {number} decimals - The decimal precision for rounding bytes.
+ * @param {boolean} binary - The binary or decimal unit conversion.
+ * @returns {string} The package and directory tables.
+ */
+function formatSourceMapReport(bundle, decimals, binary) {
+  const { title, summary, tables } = getSourceMapTables(
+    bundle,
+    decimals,
+    binary,
+  );
+
+  return [
+    `\n${underline(title)}`,
+    ` ${summary}`,
+    ...tables.map(([header, rows]) => `\n${textTable(header, rows)}`),
+  ].join("\n");
+}
+
+// the number of packages and directories listed for each bundle
+const SOURCE_LIMIT = 10;
+
+/**
+ * Create the tables of the packages and directories that a bundle's bytes
+ * are attributed to, largest first. The rest are combined into a single row.
+ *
+ * @private
+ * @param {SourceMapReport} bundle - A result from getSourceMapReport.
+ * @param {number} decimals - The decimal precision for rounding bytes.
+ * @param {boolean} binary - The binary or decimal unit conversion.
+ * @param {function(string): string} [text] - Formats the names of the
+ *   packages and directories.
+ * @returns {{title: string, summary: string, tables: Array<[string[], string[][]]>}}
+ *   The title, a summary of the source map, and the header and rows of each
+ *   table.
+ */
+function getSourceMapTables(bundle, decimals, binary, text = (name) => name) {
+  const title = `Main ${bundle.type.toUpperCase()} bundle sources`;
+
+  if (!bundle.sourceMap) {
+    return {
+      title,
+      summary: `No source map found for ${bundle.bundle}`,
+      tables: [],
+    };
+  }
+
+  const format = (bytes) => formatBytes(bytes, decimals, binary);
+  const percent = (share) => `${share.toFixed(decimals)}%`;
+  const share = bundle.size ? (bundle.mappedSize / bundle.size) * 100 : 0;
+
+  const rows = (groups) => {
+    const rest = groups.slice(SOURCE_LIMIT);
+    return [
+      ...groups
+        .slice(0, SOURCE_LIMIT)
+        .map(({ name, size, share }) => [
+          text(name),
+          format(size),
+          percent(share),
+        ]),
+      ...(rest.length
+        ? [
+            [
+              `${rest.length} more`,
+              format(rest.reduce((sum, group) => sum + group.size, 0)),
+              percent(rest.reduce((sum, group) => sum + group.share, 0)),
+            ],
+          ]
+        : []),
+    ];
+  };
+
+  return {
+    title,
+    summary: `${percent(share)} of ${bundle.bundle} is mapped by ${bundle.sourceMap}`,
+    tables: [
+      ["Package", bundle.packages],
+      ["Directory", bundle.directories],
+    ]
+      .filter(([, groups]) => groups.length)
+      .map(([label, groups]) => [[label, "Size", "Share"], rows(groups)]),
+  };
+}
+
+// the display names of the asset categories from getTypeReport
+const CATEGORY_LABELS = {
+  scripts: "Scripts",
+  styles: "Styles",
+  images: "Images",
+  fonts: "Fonts",
+  sourcemaps: "Source maps",
+  html: "HTML",
+  other: "Other",
+};
+
+const TYPE_COLUMNS = ["Type", "Files", "Size", "Gzip", "Brotli", "Share"];
+
+/**
+ * Format the cells of a category or extension row.
+ *
+ * @private
+ * @param {string} label - The name of the category or extension.
+ * @param {TypeSizes} group - The sizes of the category or extension.
+ * @param {number} decimals - The decimal precision for rounding bytes.
+ * @param {boolean} binary - The binary or decimal unit conversion.
+ * @returns {string[]} The cells of the row.
+ */
+function typeRow(label, group, decimals, binary) {
+  // incompressible groups don't have compressed sizes
+  const format = (bytes) =>
+    bytes === null ? "-" : formatBytes(bytes, decimals, binary);
+
+  return [
+    label,
+    group.count,
+    format(group.size),
+    format(group.sizeGzip),
+    format(group.sizeBrotli),
+    `${group.share.toFixed(decimals)}%`,
+  ];
+}
+
+/**
+ * Create a plain text table with padded columns. The first column is aligned
+ * left and the rest are aligned right, which suits names followed by sizes.
+ *
+ * @private
+ * @param {string[]} header - The column names.
+ * @param {Array<Array<number|string>>} rows - The cells of each row.
+ * @returns {string} The table.
+ */
+function textTable(header, rows) {
+  const widths = header.map((_, column) =>
+    Math.max(...[header, ...rows].map((row) => String(row[column]).length)),
+  );
+
+  return [header, ...rows]
+    .map(
+      (row) =>
+        ` ${row
+          .map((cell, column) =>
+            column
+              ? String(cell).padStart(widths[column])
+              : String(cell).padEnd(widths[column]),
+          )
+          .join("  ")}`,
+    )
+    .join("\n");
+}
+
+/**
+ * Format the budget results as a section of the console output.
+ *
+ * @private
+ * @param {BudgetResult[]} results - The results from checkBudgets.
+ * @param {number} decimals - The decimal precision for rounding bytes.
+ * @param {boolean} binary - The binary or decimal unit conversion.
+ * @returns {string} The pass/fail report for each budget.
+ */
+function formatBudgetResults(results, decimals, binary) {
+  const format = (metric, value) =>
+    formatMetric(metric, value, decimals, binary);
+
+  const report = results
+    .map(
+      ({ metric, budget, actual, passed }) =>
+        `\n --> ${passed ? "pass" : "FAIL"}: ${metric} is ${format(
+          metric,
+          actual,
+        )} (budget is ${format(metric, budget)})`,
+    )
+    .join("");
+
+  return `\n${underline("Budgets")}${report}`;
+}
+
+// the bars of a sparkline, from the smallest value to the largest
+const SPARKS = "▁▂▃▄▅▆▇█";
+
+/**
+ * Draw a sparkline of the most recent values, e.g. "▁▃▂█".
+ *
+ * @private
+ * @param {number[]} values - The values, oldest first.
+ * @param {number} [width] - The maximum number of values to draw.
+ * @returns {string} The sparkline.
+ */
+function sparkline(values, width = 30) {
+  const recent = values.slice(-width);
+  const min = Math.min(...recent);
+  const range = Math.max(...recent) - min;
+
+  return recent
+    .map(
+      (value) =>
+        SPARKS[
+          range ? Math.round(((value - min) / range) * (SPARKS.length - 1)) : 0
+        ],
+    )
+    .join("");
+}
+
+/**
+ * Describe when build sizes were saved, e.g. "3.2.1 (1a2b3c4) saved
+ * 2024-04-20T20:20:00.000Z", including the short commit SHA when known.
+ *
+ * @private
+ * @param {SavedBuildSizes} record - The saved build sizes.
+ * @returns {string} The description.
+ */
+const savedLabel = (record) =>
+  [
+    [record.Version, record.Commit && `(${record.Commit.slice(0, 7)})`]
+      .filter(Boolean)
+      .join(" "),
+    record.Timestamp,
+  ]
+    .filter(Boolean)
+    .join(" saved ");
+
+/**
+ * Log the build sizes saved to a CSV file, including the trend of each metric
+ * and its largest regressions, in the format used by the other reporters.
+ *
+ * @private
+ * @param {SavedBuildSizes[]} records - The results from readBuildSizes.
+ * @param {MetricTrend[]} trends - The results from getBuildSizeTrends.
+ * @param {HistorySettings} settings - The output format and formatting options.
+ */
+function reportHistory(records, trends, settings) {
+  const { format, decimals, binary, outfile, last, version } = settings;
+
+  if (format === "json" || format === "ndjson") {
+    const tool = { name: "build-sizes", version };
+    const lines =
+      format === "json"
+        ? [JSON.stringify({ tool, outfile, trends, history: records }, null, 2)]
+        : records.map((record) => JSON.stringify({ tool, outfile, ...record }));
+    process.stdout.write(`${lines.join("\n")}\n`);
+    return;
+  }
+
+  const markdown = format === "markdown";
+  const text = (value) => (markdown ? escapeMarkdown(value) : value);
+  const metric = (name, value) => formatMetric(name, value, decimals, binary);
+  const size = (value) =>
+    typeof value === "number" ? formatBytes(value, decimals, binary) : "-";
+  const builds = (count) => `${count} build${count === 1 ? "" : "s"}`;
+
+  const tables = [
+    [
+      "Trends",
+      [
+        "Metric",
+        "Latest",
+        "Min",
+        "Max",
+        `Last ${builds(Math.min(last, records.length))}`,
+        "History",
+      ],
+      ["---", "---:", "---:", "---:", "---:", "---"],
+      trends.map(({ metric: name, values, latest, min, max, trend }) => [
+        name,
+        latest === null ? "-" : metric(name, latest),
+        metric(name, min),
+        metric(name, max),
+        text(formatDelta(name, trend, decimals, binary)),
+        sparkline(values),
+      ]),
+    ],
+    [
+      "Largest regressions",
+      ["Metric", "Change", "Build"],
+      ["---", "---:", "---"],
+      trends.flatMap(({ metric: name, regressions }) =>
+        regressions.map((regression) => [
+          name,
+          text(formatDelta(name, regression, decimals, binary)),
+          text(savedLabel(regression)),
+        ]),
+      ),
+    ],
+    [
+      "Recent builds",
+      ["Saved", "Files", "Size", "Main bundle", "Brotli"],
+      ["---", "---:", "---:", "---:", "---:"],
+      records
+        .slice(-last)
+        .map((record) => [
+          text(savedLabel(record)),
+          record.buildFileCount ?? "-",
+          size(record.buildSize),
+          size(record.mainBundleSize),
+          size(record.mainBundleSizeBrotli),
+        ]),
+    ],
+  ].filter(([, , , rows]) => rows.length);
+
+  const summary = `${builds(records.length)} saved from ${savedLabel(records[0])} to ${savedLabel(records[records.length - 1])}`;
+
+  if (markdown) {
+    const sections = tables.flatMap(([title, header, alignment, rows]) => [
+      `### ${title}`,
+      markdownTable(header, rows, alignment),
+    ]);
+    process.stdout.write(
+      `${["## Build size history", text(summary), ...sections].join("\n\n")}\n`,
+    );
+  } else {
+    const sections = tables.map(
+      ([title, header, , rows]) =>
+        `\n${underline(title)}\n${textTable(header, rows)}`,
+    );
+    console.log(
+      `\n${underline(`Build size history (${outfile})`)}\n ${summary}\n${sections.join("\n")}\n`,
+    );
+  }
+}
+
+/**
+ * The reporters available to the CLI's `--format` flag, keyed by name.
+ *
+ * @private
+ */
+const REPORTERS = {
+  console: reportConsole,
+  json: reportJson,
+  markdown: reportMarkdown,
+  ndjson: reportNdjson,
+};
+
+/**
+ * The build sizes of a single build path, along with the additional info
+ * gathered by the CLI.
+ *
+ * @private
+ * @typedef {object} Report
+ * @property {string} path - The path to the build directory.
+ * @property {PackageInfo} [package] - The package the build belongs to, when
+ *   measuring the packages of a monorepo.
+ * @property {BuildSizes} buildSizes - The build sizes.
+ * @property {BudgetResult[]} budgetResults - The results from checkBudgets, if any.
+ * @property {Object.<string, BuildSizeDelta>} [deltas] - The difference of each metric.
+ * @property {FileChanges} [files] - The files that differ from the base build.
+ * @property {string} [since] - What the differences are relative to.
+ * @property {{deltas: Object.<string, BuildSizeDelta>, since: string}} [baseline] -
+ *   The difference of each metric from the first build measured in watch mode.
+ * @property {FileSizes[]} [fileReport] - The results from getFileReport.
+ * @property {TypeReport} [typeReport] - The results from getTypeReport.
+ * @property {EntrySizes[]} [entryReport] - The results from getEntryReport.
+ * @property {SourceMapReport[]} [sourceMapReport] - The results from
+ *   getSourceMapReport.
+ */
+
+/**
+ * The options used to format reports.
+ *
+ * @private
+ * @typedef {object} ReportSettings
+ * @property {string[]} types - The file types of the main bundles.
+ * @property {number} decimals - The decimal precision for rounding bytes.
+ * @property {boolean} binary - The binary or decimal unit conversion.
+ * @property {object} options - The CLI options used to determine the build sizes.
+ * @property {string} version - The version of build-sizes.
+ */
+
+/**
+ * The options used to format the history of saved build sizes.
+ *
+ * @private
+ * @typedef {object} HistorySettings
+ * @property {string} format - The output format, see {@link REPORTERS}.
+ * @property {number} decimals - The decimal precision for rounding bytes.
+ * @property {boolean} binary - The binary or decimal unit conversion.
+ * @property {string} outfile - The CSV file the build sizes were read from.
+ * @property {number} last - The number of recent builds used for the trends.
+ * @property {string} version - The version of build-sizes.
+ */
+
+/**
+ * The record logged for each build by the JSON reporters.
+ *
+ * @private
+ * @typedef {object} JsonRecord
+ * @property {{name: string, version: string}} tool - The tool that measured the build.
+ * @property {string} path - The path to the build directory.
+ * @property {PackageInfo} [package] - The package the build belongs to.
+ * @property {object} options - The CLI options used to determine the build sizes.
+ * @property {BuildSizes} buildSizes - The build sizes in bytes.
+ * @property {Object.<string, string>} formatted - The human readable byte metrics.
+ * @property {Object.<string, BuildSizeDelta>} [deltas] - The difference of each metric.
+ * @property {string} [since] - What the differences are relative to.
+ * @property {{deltas: Object.<string, BuildSizeDelta>, since: string}} [baseline] -
+ *   The difference of each metric from the first build measured in watch mode.
+ * @property {FileChanges} [files] - The files that differ from the base build.
+ * @property {FileSizes[]} [fileReport] - The size of each file.
+ * @property {TypeReport} [typeReport] - The sizes of each category and extension.
+ * @property {EntrySizes[]} [entryReport] - The sizes of each entry point.
+ * @property {SourceMapReport[]} [sourceMapReport] - The sources of each main bundle.
+ * @property {BudgetResult[]} [budgets] - The results from checkBudgets.
+ */
+
+export { REPORTERS, reportHistory, savedLabel };
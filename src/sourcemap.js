@@ -0,0 +1,427 @@
+import { readFile } from "node:fs/promises";
+import { dirname, isAbsolute, relative, resolve } from "node:path";
+import { getEntryBundles } from "./bundler.js";
+import { BuildSizesError, toBuildSizesError } from "./errors.js";
+import { filterFilesByType, getFiles, parseFileTypes } from "./files.js";
+
+// the value of each base64 digit in the VLQ encoded mappings
+const BASE64_DIGITS = Object.fromEntries(
+  [..."ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/"].map(
+    (char, index) => [char, index],
+  ),
+);
+
+/**
+ * Attribute the bytes of each main bundle to the original sources in its
+ * source map, and roll them up by npm package (`node_modules/<package>`) and
+ * by the directories of the app's own sources. The main bundles are the
+ * largest file (or entry chunk) of each type, like {@link getBuildSizes}. The
+ * source map is found with the bundle's `sourceMappingURL` comment, including
+ * inline data URLs, or next to the bundle with a ".map" extension.
+ *
+ * Bytes that aren't mapped to a source, like line breaks and code added by the
+ * bundler, are counted separately.
+ *
+ * @since v3.3.0
+ * @param {string} buildPath - The path to the build directory.
+ * @param {string|string[]} [bundleFileType] - The file type of the main
+ *   bundle, multiple types can be provided, e.g. "js,css".
+ * @param {object} [options] - The report options, which also accepts the
+ *   {@link FileFilterOptions} glob patterns.
+ * @param {number} [options.depth] - The number of directories that the app's
+ *   sources are rolled up to, e.g. "src/components" with the default of 2.
+ * @param {string} [options.metafile] - The path to a bundler's metadata file,
+ *   which is used to find the entry chunks, see {@link getBuildSizes}.
+ * @param {string} [options.entry] - The name of the main entry point in the
+ *   metafile.
+ * @returns {Promise<SourceMapReport[]>} The attribution of each main bundle.
+ * @throws {BuildSizesError} With the `INVALID_SOURCEMAP` code if a source map
+ *   can't be parsed, or the `BUILD_READ_FAILED` code if the build can't be read.
+ */
+async function getSourceMapReport(
+  buildPath,
+  bundleFileType = "js",
+  options = {},
+) {
+  try {
+    const build = resolve(process.cwd(), buildPath);
+    const buildFiles = await getFiles(build, options);
+    const types = parseFileTypes(bundleFileType);
+    const reports = [];
+
+    // the entry chunks, or the largest file by type, like getBuildSizes
+    const bundles = options.metafile
+      ? (await getEntryBundles(build, buildFiles, types, options)).map(
+          ([entryChunk]) => entryChunk,
+        )
+      : types.map((type) =>
+          filterFilesByType(buildFiles, type).reduce(
+            (max, file) => (max && max.size > file.size ? max : file),
+            null,
+          ),
+        );
+
+    for (const [index, type] of types.entries()) {
+      const bundle = bundles[index];
+      if (!bundle) continue;
+
+      const data = await readFile(bundle.path);
+      const code = data.toString("utf8");
+      const sourceMap = await readSourceMap(bundle.path, code);
+      const report = {
+        type,
+        bundle: relative(build, bundle.path),
+        sourceMap: sourceMap && relative(build, sourceMap.path),
+        size: data.length,
+      };
+
+      if (!sourceMap) {
+        reports.push(report);
+        continue;
+      }
+
+      try {
+        reports.push({
+          ...report,
+          ...attributeBytes(code, sourceMap.map, data.length, options),
+        });
+      } catch (err) {
+        throw new BuildSizesError(
+          "INVALID_SOURCEMAP",
+          `Unable to read the mappings of the source map: ${sourceMap.path}`,
+          { cause: err, path: sourceMap.path },
+        );
+      }
+    }
+
+    return reports;
+  } catch (err) {
+    throw toBuildSizesError(
+      err,
+      "BUILD_READ_FAILED",
+      `Unable to get the source map report of: ${resolve(buildPath)}`,
+      resolve(buildPath),
+    );
+  }
+}
+
+/**
+ * Find and parse the source map of a bundle. The last `sourceMappingURL`
+ * comment is used, and remote URLs are ignored since the build is measured
+ * without network access.
+ *
+ * @private
+ * @param {string} bundlePath - The absolute path of the bundle.
+ * @param {string} code - The contents of the bundle.
+ * @returns {Promise<{map: object, path: string}|null>} The source map and its
+ *   path, which is the bundle's path for inline source maps, or null if the
+ *   bundle doesn't have one.
+ * @throws {BuildSizesError} With the `INVALID_SOURCEMAP` code if the source
+ *   map isn't valid JSON.
+ */
+async function readSourceMap(bundlePath, code) {
+  // e.g. `//# sourceMappingURL=main.js.map` or `/*# sourceMappingURL=... */`
+  const comments = [
+    ...code.matchAll(/\/[/*][#@]\s*sourceMappingURL=([^\s'"*]+)/g),
+  ];
+  const url = comments.length ? comments[comments.length - 1][1] : null;
+
+  const parse = (json, path) => {
+    try {
+      return { map: JSON.parse(json), path };
+    } catch (err) {
+      throw new BuildSizesError(
+        "INVALID_SOURCEMAP",
+        `Unable to parse the source map of: ${bundlePath}`,
+        { cause: err, path },
+      );
+    }
+  };
+
+  if (url && url.startsWith("data:")) {
+    const [header, ...body] = url.split(",");
+    const payload = body.join(",");
+    return parse(
+      header.endsWith(";base64")
+        ? Buffer.from(payload, "base64").toString("utf8")
+        : decodeURIComponent(payload),
+      bundlePath,
+    );
+  }
+
+  const candidates = [
+    ...(url && !/^[a-z][\w+.-]*:/i.test(url)
+      ? [resolve(dirname(bundlePath), decodeURIComponent(url.split(/[?#]/)[0]))]
+      : []),
+    `${bundlePath}.map`,
+  ];
+
+  for (const path of candidates) {
+    const json = await readFile(path, "utf8").catch((err) => {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    });
+    if (json !== null) return parse(json, path);
+  }
+
+  return null;
+}
+
+/**
+ * Decode the VLQ mappings of a source map into the segments of each generated
+ * line.
+ *
+ * @private
+ * @param {string} mappings - The "mappings" of the source map.
+ * @param {string[]} sources - The normalized source of each index.
+ * @returns {Array<Array<[number, string|null]>>} The generated column of each
+ *   segment and its source, or null when the segment isn't mapped.
+ */
+function decodeMappings(mappings, sources) {
+  // the generated column resets on each line, the other fields never do
+  const fields = [0, 0, 0, 0, 0];
+
+  return mappings.split(";").map((line) => {
+    fields[0] = 0;
+
+    return line
+      .split(",")
+      .filter(Boolean)
+      .map((segment) => {
+        const values = decodeVlq(segment);
+        values.forEach((value, index) => (fields[index] += value));
+
+        // segments with a single field aren't mapped to a source
+        return [
+          fields[0],
+          values.length >= 4 ? (sources[fields[1]] ?? null) : null,
+        ];
+      });
+  });
+}
+
+/**
+ * Decode the base64 VLQ values of a mappings segment.
+ *
+ * @private
+ * @param {string} segment - The segment, e.g. "AAgBC".
+ * @returns {number[]} The values of the segment's fields.
+ */
+function decodeVlq(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of segment) {
+    const digit = BASE64_DIGITS[char];
+    if (digit === undefined) {
+      throw new Error(`Invalid character "${char}" in the mappings.`);
+    }
+
+    // the sixth bit means the value continues in the next digit
+    value += (digit & 31) * 2 ** shift;
+    if (digit & 32) {
+      shift += 5;
+      continue;
+    }
+
+    // the lowest bit is the sign
+    values.push(value % 2 ? -Math.floor(value / 2) : value / 2);
+    value = 0;
+    shift = 0;
+  }
+
+  return values;
+}
+
+/**
+ * Get the mapped segments of every generated line, including the sections of
+ * index maps (which concatenate several source maps).
+ *
+ * @private
+ * @param {object} map - The parsed source map.
+ * @returns {Array<Array<[number, string|null]>>} The segments of each line.
+ */
+function getSegments(map) {
+  if (!Array.isArray(map.sections)) {
+    const sources = (map.sources || []).map((source) =>
+      normalizeSource(source, map.sourceRoot),
+    );
+    return decodeMappings(map.mappings || "", sources);
+  }
+
+  const lines = [];
+  // sections that reference another file by URL aren't supported
+  for (const { offset, map: section } of map.sections.filter((s) => s.map)) {
+    getSegments(section).forEach((segments, index) => {
+      const line = offset.line + index;
+      // only the first line of a section starts at an offset column
+      const shift = index ? 0 : offset.column;
+      lines[line] = [
+        ...(lines[line] || []),
+        ...segments.map(([column, source]) => [column + shift, source]),
+      ];
+    });
+  }
+  return lines;
+}
+
+/**
+ * Normalize a source of a source map to a path relative to the project, e.g.
+ * "webpack://app/./src/index.js" to "src/index.js".
+ *
+ * @private
+ * @param {string} source - The source.
+ * @param {string} [sourceRoot] - The source root of the source map.
+ * @returns {string} The normalized source.
+ */
+function normalizeSource(source, sourceRoot) {
+  let path = `${sourceRoot ? sourceRoot.replace(/\/?$/, "/") : ""}${source}`
+    // webpack prefixes its sources with the name of the app
+    .replace(/^webpack:\/\/[^/]*\//, "")
+    .replace(/^[a-z][\w+.-]*:\/\//i, "")
+    .replace(/[?#].*$/, "")
+    .split("\\")
+    .join("/");
+
+  // absolute paths are made relative to the project
+  if (isAbsolute(path))
+    path = relative(process.cwd(), path).split("\\").join("/");
+
+  // relative segments point outside the build directory, so they're dropped
+  return path
+    .split("/")
+    .filter((segment) => segment && segment !== "." && segment !== "..")
+    .join("/");
+}
+
+/**
+ * Get the npm package a source belongs to, using the last `node_modules`
+ * directory so nested dependencies (and pnpm's store) are attributed to the
+ * package itself.
+ *
+ * @private
+ * @param {string} source - The normalized source.
+ * @returns {string|null} The package name, e.g. "react" or "@babel/runtime".
+ */
+function getPackageName(source) {
+  const parts = source.split("/");
+  const index = parts.lastIndexOf("node_modules");
+  if (index === -1 || index === parts.length - 1) return null;
+
+  const [scope, name] = parts.slice(index + 1);
+  return scope.startsWith("@") && name ? `${scope}/${name}` : scope;
+}
+
+/**
+ * Attribute the bytes of a bundle to the sources in its source map.
+ *
+ * @private
+ * @param {string} code - The contents of the bundle.
+ * @param {object} map - The parsed source map.
+ * @param {number} size - The byte size of the bundle.
+ * @param {object} options - The report options.
+ * @param {number} [options.depth] - The number of directories that the app's
+ *   sources are rolled up to.
+ * @returns {object} The mapped and unmapped bytes, and the bytes of each
+ *   package, directory, and source.
+ */
+function attributeBytes(code, map, size, { depth = 2 } = {}) {
+  const segments = getSegments(map);
+  const sources = new Map();
+  const lines = code.split("\n");
+
+  const add = (groups, name, bytes) =>
+    groups.set(name, (groups.get(name) || 0) + bytes);
+
+  lines.forEach((line, index) => {
+    // columns are counted in UTF-16 code units rather than bytes
+    const ascii = Buffer.byteLength(line) === line.length;
+    const bytes = (start, end) =>
+      ascii ? end - start : Buffer.byteLength(line.slice(start, end));
+
+    // each segment covers the line until the next segment
+    const sorted = [...(segments[index] || [])].sort((a, b) => a[0] - b[0]);
+    let start = 0;
+    let source = null;
+
+    for (const [column, next] of sorted) {
+      const end = Math.min(column, line.length);
+      if (end > start && source !== null)
+        add(sources, source, bytes(start, end));
+      start = Math.max(start, end);
+      source = next;
+    }
+    if (source !== null) add(sources, source, bytes(start, line.length));
+  });
+
+  const packages = new Map();
+  const directories = new Map();
+
+  for (const [source, bytes] of sources) {
+    const name = getPackageName(source);
+    if (name) {
+      add(packages, name, bytes);
+    } else {
+      // the app's sources are rolled up to their top directories
+      const dir = source.split("/").slice(0, -1).slice(0, depth).join("/");
+      add(directories, dir || ".", bytes);
+    }
+  }
+
+  const toSizes = (groups) =>
+    [...groups]
+      .map(([name, bytes]) => ({
+        name,
+        size: bytes,
+        share: size ? (bytes / size) * 100 : 0,
+      }))
+      .sort((a, b) => b.size - a.size);
+
+  const mappedSize = [...sources.values()].reduce((sum, n) => sum + n, 0);
+
+  return {
+    mappedSize,
+    unmappedSize: size - mappedSize,
+    packages: toSizes(packages),
+    directories: toSizes(directories),
+    sources: toSizes(sources),
+  };
+}
+
+/**
+ * The bytes of a group of sources in a bundle, i.e. an npm package, a
+ * directory, or a single source.
+ *
+ * @typedef {object} SourceSizes
+ * @property {string} name - The package (e.g. "react"), directory (e.g.
+ *   "src/components"), or source (e.g. "src/index.js").
+ * @property {number} size - The bytes of the bundle generated from the sources.
+ * @property {number} share - The percentage of the bundle's size.
+ * @see {@link getSourceMapReport}
+ */
+
+/**
+ * The attribution of a main bundle's bytes to its original sources. Bundles
+ * without a source map only have the type, bundle, and size.
+ *
+ * @typedef {object} SourceMapReport
+ * @property {string} type - The file type of the bundle, e.g. "js".
+ * @property {string} bundle - The bundle's path relative to the build directory.
+ * @property {string|null} sourceMap - The source map's path relative to the
+ *   build directory, which is the bundle itself for an inline source map, or
+ *   null if the bundle doesn't have one.
+ * @property {number} size - The byte size of the bundle.
+ * @property {number} [mappedSize] - The bytes that are mapped to a source.
+ * @property {number} [unmappedSize] - The bytes that aren't mapped to a
+ *   source, e.g. line breaks and code added by the bundler.
+ * @property {SourceSizes[]} [packages] - The bytes of each npm package,
+ *   largest first.
+ * @property {SourceSizes[]} [directories] - The bytes of each directory of
+ *   the app's own sources, largest first.
+ * @property {SourceSizes[]} [sources] - The bytes of each source, largest
+ *   first.
+ * @see {@link getSourceMapReport}
+ */
+
+export { decodeMappings, decodeVlq, getSegments, getSourceMapReport };
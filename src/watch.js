@@ -0,0 +1,165 @@
+import { readdirSync, statSync, watch } from "node:fs";
+import { stat } from "node:fs/promises";
+import { join, resolve } from "node:path";
+
+/**
+ * How long the build directory must be quiet before it's measured again, so a
+ * burst of writes from the bundler only triggers a single measurement.
+ *
+ * @private
+ */
+const DEBOUNCE_MS = 300;
+
+/**
+ * List a directory and its subdirectories, for watching each of them when
+ * recursive watchers aren't supported.
+ *
+ * @private
+ * @param {string} dir - The absolute path of the directory.
+ * @returns {string[]} The directory and every directory inside of it.
+ */
+function getDirectories(dir) {
+  return [
+    dir,
+    ...readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .flatMap((entry) => getDirectories(join(dir, entry.name))),
+  ];
+}
+
+/**
+ * Watch a build directory and call back once its files stop changing. The
+ * directory can be deleted and recreated, which is what most bundlers do when
+ * cleaning the output, in which case it's watched again once it reappears.
+ *
+ * Recursive watchers aren't supported on Linux before Node v20, so each
+ * directory of the build is watched instead, and the directories are listed
+ * again after every change to pick up new ones.
+ *
+ * The callback is never called while a previous call is still pending, and
+ * changes made in the meantime trigger one more call once it settles.
+ *
+ * @private
+ * @param {string} buildPath - The path to the build directory.
+ * @param {function(): Promise<void>} onChange - Called after the build changes.
+ * @param {object} [options] - How the build is watched.
+ * @param {number} [options.debounce] - The milliseconds to wait for more
+ *   changes before calling back.
+ * @param {boolean} [options.recursive] - Use a single recursive watcher when
+ *   the platform supports it, which defaults to true.
+ * @returns {{close: function(): void}} Stops watching the build.
+ * @throws {Error} If the build can't be watched, e.g. because the system's
+ *   limit of watchers was reached.
+ */
+function watchBuild(
+  buildPath,
+  onChange,
+  { debounce = DEBOUNCE_MS, recursive = true } = {},
+) {
+  const build = resolve(buildPath);
+  let watchers = [];
+  // the inode of the watched directory, which changes when it's recreated
+  let inode = null;
+  let timer = null;
+  let running = false;
+  let pending = false;
+  let closed = false;
+
+  const stop = () => {
+    watchers.forEach((watcher) => watcher.close());
+    watchers = [];
+    inode = null;
+  };
+
+  const schedule = () => {
+    if (closed) return;
+    clearTimeout(timer);
+    timer = setTimeout(settle, debounce);
+  };
+
+  // returns false when the directory was removed again before it could be
+  // watched, so it's checked for again after the debounce
+  const start = (ino) => {
+    try {
+      watchers = recursive
+        ? [watch(build, { recursive: true }, schedule)]
+        : getDirectories(build).map((dir) => watch(dir, schedule));
+    } catch (err) {
+      stop();
+      if (recursive && err.code === "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") {
+        recursive = false;
+        return start(ino);
+      }
+      if (err.code === "ENOENT") return false;
+      throw err;
+    }
+
+    watchers.forEach((watcher) =>
+      watcher.on("error", () => {
+        stop();
+        schedule();
+      }),
+    );
+    inode = ino;
+    return true;
+  };
+
+  async function settle() {
+    if (closed) return;
+
+    let ino = await stat(build).then(
+      (stats) => (stats.isDirectory() ? stats.ino : null),
+      () => null,
+    );
+
+    // watch the recreated build directory, or the new subdirectories when
+    // each directory has its own watcher
+    if (ino !== null && (ino !== inode || !recursive)) {
+      stop();
+      if (!start(ino)) ino = null;
+    }
+
+    // keep checking until the build directory exists again, without calling
+    // back since there's nothing to measure. The watchers are closed, since
+    // the recreated directory can reuse the inode.
+    if (ino === null) {
+      stop();
+      schedule();
+      return;
+    }
+
+    if (running) {
+      pending = true;
+      return;
+    }
+
+    running = true;
+    try {
+      await onChange();
+    } finally {
+      running = false;
+      if (pending) {
+        pending = false;
+        schedule();
+      }
+    }
+  }
+
+  let ino = null;
+  try {
+    ino = statSync(build).ino;
+  } catch {
+    // the build was removed since it was measured, so wait for it to return
+  }
+  if (ino === null || !start(ino)) schedule();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      stop();
+    },
+  };
+}
+
+export { watchBuild };
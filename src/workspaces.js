@@ -0,0 +1,264 @@
+import { readdir, readFile, stat } from "node:fs/promises";
+import { dirname, join, resolve } from "node:path";
+import { BuildSizesError } from "./errors.js";
+import { globToRegExp } from "./glob.js";
+
+// the characters that make a path segment a glob pattern, which doesn't
+// include brackets since they're common in route directories like "app/[id]"
+const GLOB_CHARACTERS = /[*?{}]/;
+
+// directories that never contain build directories of the workspace
+const IGNORED_DIRECTORIES = new Set(["node_modules", ".git"]);
+
+const isGlob = (path) => GLOB_CHARACTERS.test(path);
+
+const isDirectory = (path) =>
+  stat(path).then(
+    (stats) => stats.isDirectory(),
+    () => false,
+  );
+
+// resolves to null when the file doesn't exist or isn't valid JSON
+const readJson = (path) =>
+  readFile(path, "utf8").then(
+    (json) => JSON.parse(json),
+    () => null,
+  );
+
+/**
+ * Expand the glob patterns of build paths, e.g. "packages/*\/dist", to the
+ * directories they match. Paths without a glob are left as is, so a missing
+ * build directory is reported once it's measured.
+ *
+ * @private
+ * @param {string[]} paths - The build paths and patterns.
+ * @returns {Promise<string[]>} The build paths, without duplicates.
+ * @throws {BuildSizesError} With the `BUILD_NOT_FOUND` code if a pattern
+ *   doesn't match any directories.
+ */
+async function expandBuildPaths(paths) {
+  const expanded = [];
+
+  for (const path of paths) {
+    if (!isGlob(path)) {
+      expanded.push(path);
+      continue;
+    }
+
+    const matches = await globDirectories(path);
+    if (!matches.length) {
+      throw new BuildSizesError(
+        "BUILD_NOT_FOUND",
+        `No build directories match the pattern: ${path}`,
+        { path },
+      );
+    }
+    expanded.push(...matches);
+  }
+
+  return [...new Set(expanded)];
+}
+
+/**
+ * Find the directories matching a glob pattern, sorted by path. Dependencies
+ * and hidden directories are skipped, unless the pattern names them.
+ *
+ * @private
+ * @param {string} pattern - The glob pattern, e.g. "packages/*" or "apps/**\/dist".
+ * @returns {Promise<string[]>} The matching directories, relative to the
+ *   current working directory unless the pattern is absolute.
+ */
+async function globDirectories(pattern) {
+  // globs always use forward slashes, even on Windows
+  const segments = pattern.split(/[\\/]/);
+  const index = segments.findIndex(isGlob);
+  // the directory before the first glob, where the search starts
+  const first = index === -1 ? segments.length : index;
+  const base = segments.slice(0, first).join("/") || (first ? "/" : ".");
+
+  const match = async (dir, [segment, ...rest]) => {
+    if (segment === undefined) return [dir];
+    if (!segment || segment === ".") return match(dir, rest);
+
+    if (!isGlob(segment)) {
+      const path = join(dir, segment);
+      return (await isDirectory(path)) ? match(path, rest) : [];
+    }
+
+    const entries = await readdir(dir, { withFileTypes: true }).catch(() => []);
+    const subdirectories = entries.filter(
+      (entry) =>
+        entry.isDirectory() &&
+        !IGNORED_DIRECTORIES.has(entry.name) &&
+        (!entry.name.startsWith(".") || segment.startsWith(".")),
+    );
+
+    // "**" matches zero or more directories
+    if (segment === "**") {
+      const nested = await Promise.all(
+        subdirectories.map((entry) =>
+          match(join(dir, entry.name), [segment, ...rest]),
+        ),
+      );
+      return [...(await match(dir, rest)), ...nested.flat()];
+    }
+
+    const regex = globToRegExp(segment);
+    const nested = await Promise.all(
+      subdirectories
+        .filter((entry) => regex.test(entry.name))
+        .map((entry) => match(join(dir, entry.name), rest)),
+    );
+    return nested.flat();
+  };
+
+  const matches = await match(base, segments.slice(first));
+  return [...new Set(matches)].sort();
+}
+
+/**
+ * Find the workspace packages of the monorepo in the current working
+ * directory, from the `workspaces` of its package.json file (npm, Yarn, and
+ * Bun) or its pnpm-workspace.yaml file. Patterns starting with "!" exclude
+ * packages, and only directories with a package.json file are packages.
+ *
+ * @private
+ * @returns {Promise<string[]>} The directories of the packages, sorted by path.
+ * @throws {BuildSizesError} With the `WORKSPACES_NOT_FOUND` code if the
+ *   current working directory isn't the root of a monorepo.
+ */
+async function getWorkspaces() {
+  const pkg = await readJson("package.json");
+  const workspaces = pkg && pkg.workspaces;
+  const patterns =
+    (Array.isArray(workspaces)
+      ? workspaces
+      : workspaces && workspaces.packages) || (await readPnpmWorkspaces());
+
+  if (!patterns || !patterns.length) {
+    throw new BuildSizesError(
+      "WORKSPACES_NOT_FOUND",
+      `No workspaces are defined in the package.json or pnpm-workspace.yaml file of: ${process.cwd()}`,
+      { path: process.cwd() },
+    );
+  }
+
+  const expand = async (globs) =>
+    (await Promise.all(globs.map(globDirectories))).flat();
+
+  const excluded = new Set(
+    await expand(
+      patterns.filter((p) => p.startsWith("!")).map((p) => p.slice(1)),
+    ),
+  );
+  const directories = (
+    await expand(patterns.filter((pattern) => !pattern.startsWith("!")))
+  ).filter((dir) => !excluded.has(dir));
+
+  const packages = await Promise.all(
+    [...new Set(directories)].map(async (dir) =>
+      (await readJson(join(dir, "package.json"))) ? dir : null,
+    ),
+  );
+
+  return packages.filter(Boolean).sort();
+}
+
+/**
+ * Find the build directories of the workspace packages, e.g. "dist" in each
+ * package. Packages without a build directory, like shared configs, are
+ * skipped.
+ *
+ * @private
+ * @param {string[]} buildPaths - The paths (or glob patterns) of the build
+ *   directories, relative to each package.
+ * @returns {Promise<string[]>} The build paths.
+ * @throws {BuildSizesError} With the `WORKSPACES_NOT_FOUND` code if there
+ *   aren't any workspaces, or the `BUILD_NOT_FOUND` code if none of the
+ *   packages have a build directory.
+ */
+async function getWorkspaceBuildPaths(buildPaths) {
+  const packages = await getWorkspaces();
+  const builds = [];
+
+  for (const dir of packages) {
+    for (const buildPath of buildPaths) {
+      const path = join(dir, buildPath);
+
+      if (isGlob(path)) builds.push(...(await globDirectories(path)));
+      else if (await isDirectory(path)) builds.push(path);
+    }
+  }
+
+  if (!builds.length) {
+    throw new BuildSizesError(
+      "BUILD_NOT_FOUND",
+      `None of the ${packages.length} workspace packages have a build directory at: ${buildPaths.join(", ")}`,
+    );
+  }
+
+  return [...new Set(builds)];
+}
+
+/**
+ * Read the package patterns from a pnpm-workspace.yaml file. Only the
+ * `packages` list is needed, so the YAML is parsed line by line rather than
+ * adding a dependency.
+ *
+ * @private
+ * @returns {Promise<string[]|null>} The patterns, or null if there's no file.
+ */
+async function readPnpmWorkspaces() {
+  const yaml = await readFile("pnpm-workspace.yaml", "utf8").catch(() => null);
+  if (yaml === null) return null;
+
+  const patterns = [];
+  let inPackages = false;
+
+  for (const line of yaml.split(/\r?\n/)) {
+    // the list ends at the next top level key
+    if (/^\S/.test(line)) inPackages = /^packages:/.test(line);
+    if (!inPackages) continue;
+
+    // e.g. `  - "packages/*" # comment`
+    const item = line.match(/^\s+-\s*(["']?)([^"'#]+?)\1\s*(?:#.*)?$/);
+    if (item) patterns.push(item[2]);
+  }
+
+  return patterns;
+}
+
+/**
+ * Find the package that a build directory belongs to, which is the closest
+ * package.json file with a name in the directory or its parents. Files without
+ * a name are skipped, e.g. those that only set the module type of the build.
+ *
+ * @private
+ * @param {string} buildPath - The path to the build directory.
+ * @returns {Promise<PackageInfo|null>} The package, or null if there isn't one.
+ */
+async function getPackageInfo(buildPath) {
+  let dir = resolve(buildPath);
+
+  for (;;) {
+    const pkg = await readJson(join(dir, "package.json"));
+    if (pkg && pkg.name) {
+      return { name: pkg.name, ...(pkg.version && { version: pkg.version }) };
+    }
+
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * The package a build belongs to, from its package.json file.
+ *
+ * @private
+ * @typedef {object} PackageInfo
+ * @property {string} name - The name of the package.
+ * @property {string} [version] - The version of the package.
+ */
+
+export { expandBuildPaths, getPackageInfo, getWorkspaceBuildPaths };
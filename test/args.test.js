@@ -0,0 +1,147 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseArgs } from "../src/args.js";
+
+// a subset of the CLI's flags, since importing the CLI would run it
+const FLAG_INFO = {
+  loader: { boolean: true },
+  binary: { boolean: true },
+  decimals: { default: 2 },
+  format: { short: "F", choices: ["text", "json", "markdown"] },
+  exclude: { short: "x", multiple: true },
+  top: { optional: true, pattern: /^\d+$/ },
+  cache: { optional: true, short: false },
+  budget: { short: "B", negatable: true },
+};
+
+const COMMAND_INFO = {
+  report: {},
+  compare: { flags: ["format", "decimals"] },
+};
+
+const parse = (...args) => parseArgs(args, FLAG_INFO, COMMAND_INFO);
+
+const invalid = (message) => ({ code: "INVALID_ARGUMENT", message });
+
+describe("parseArgs", () => {
+  it("defaults to the first command", () => {
+    assert.deepEqual(parse("dist", "js"), {
+      command: "report",
+      flags: {},
+      positionals: ["dist", "js"],
+    });
+    assert.equal(parse("compare", "a", "b").command, "compare");
+  });
+
+  it("parses long flags with attached and separated values", () => {
+    const { flags, positionals } = parse("--decimals=1", "--format", "json");
+    assert.deepEqual(flags, { decimals: "1", format: "json" });
+    assert.deepEqual(positionals, []);
+    assert.deepEqual(parse("--exclude=a=b").flags, { exclude: ["a=b"] });
+  });
+
+  it("parses grouped short flags, where the last one can have a value", () => {
+    assert.deepEqual(parse("-lb", "dist").flags, {
+      loader: true,
+      binary: true,
+    });
+    assert.deepEqual(parse("-ld1").flags, { loader: true, decimals: "1" });
+    assert.deepEqual(parse("-ld=1").flags, { loader: true, decimals: "1" });
+    assert.deepEqual(parse("-ld", "1").flags, { loader: true, decimals: "1" });
+    assert.deepEqual(parse("-lh").flags, { loader: true, help: true });
+  });
+
+  it("parses explicit booleans", () => {
+    assert.deepEqual(parse("--loader=false", "-b=0").flags, {
+      loader: false,
+      binary: false,
+    });
+    assert.throws(() => parse("--loader=maybe"), invalid(/expected a boolean/));
+  });
+
+  it("collects repeated flags that accept multiple values", () => {
+    assert.deepEqual(parse("-x", "*.map", "--exclude", "*.txt").flags, {
+      exclude: ["*.map", "*.txt"],
+    });
+  });
+
+  it("negates booleans, optional values, and negatable flags", () => {
+    assert.deepEqual(parse("--no-loader", "--no-top", "--no-budget").flags, {
+      loader: false,
+      top: false,
+      budget: false,
+    });
+    assert.throws(
+      () => parse("--no-decimals"),
+      invalid("The --decimals option can't be negated."),
+    );
+    assert.throws(
+      () => parse("--no-loader=true"),
+      invalid("The --no-loader option doesn't take a value."),
+    );
+  });
+
+  it("treats every argument after -- as positional", () => {
+    const { flags, positionals } = parse("-l", "--", "-b", "--format=json");
+    assert.deepEqual(flags, { loader: true });
+    assert.deepEqual(positionals, ["-b", "--format=json"]);
+    assert.deepEqual(parse("--", "--help").flags, {});
+  });
+
+  it("only accepts the choices of a flag", () => {
+    assert.throws(
+      () => parse("--format=yaml"),
+      invalid(
+        'Invalid value "yaml" for --format. Use one of: text, json, markdown',
+      ),
+    );
+  });
+
+  it("only accepts integers for flags with a numeric default", () => {
+    assert.throws(() => parse("-d", "two"), invalid(/expected an integer/));
+  });
+
+  it("suggests the closest flag for unknown flags", () => {
+    assert.throws(
+      () => parse("--loadr"),
+      invalid('Unknown option "--loadr". Did you mean "--loader"?'),
+    );
+    assert.throws(() => parse("-z"), invalid('Unknown option "-z".'));
+  });
+
+  it("rejects flags that the command doesn't use", () => {
+    assert.throws(
+      () => parse("compare", "a", "b", "--loader"),
+      invalid('The --loader option can\'t be used with "compare".'),
+    );
+  });
+
+  it("requires a value for flags that aren't boolean or optional", () => {
+    assert.throws(
+      () => parse("--format", "--loader"),
+      invalid("The --format option requires a value."),
+    );
+    assert.throws(
+      () => parse("-d"),
+      invalid("The -d (--decimals) option requires a value."),
+    );
+  });
+
+  it("takes the next argument as an optional value when it's valid", () => {
+    assert.deepEqual(parse("--top", "2", "dist").flags, { top: "2" });
+    assert.deepEqual(parse("-t", "2").flags, { top: "2" });
+    assert.deepEqual(parse("dist", "--top").flags, { top: true });
+    assert.deepEqual(parse("--top", "-l").flags, { top: true, loader: true });
+    assert.deepEqual(parse("--cache", ".cache/sizes", "dist"), {
+      command: "report",
+      flags: { cache: ".cache/sizes" },
+      positionals: ["dist"],
+    });
+    assert.throws(
+      () => parse("--top", "dist"),
+      invalid(
+        /^Invalid value "dist" for --top\. Attach the value with an equals sign/,
+      ),
+    );
+  });
+});
@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { getFileReport, getTypeReport } from "../src/index.js";
+
+// the size of each file in the build, in bytes
+const FILES = {
+  "main.js": 3000,
+  "logo.png": 2000,
+  "style.css": 1500,
+  "chunks/lazy.js": 400,
+  LICENSE: 100,
+};
+
+let build;
+
+before(async () => {
+  build = await mkdtemp(join(tmpdir(), "build-sizes-"));
+  await mkdir(join(build, "chunks"));
+  for (const [path, size] of Object.entries(FILES)) {
+    await writeFile(join(build, path), "a".repeat(size));
+  }
+});
+
+after(() => rm(build, { recursive: true, force: true }));
+
+describe("getFileReport", () => {
+  it("lists every file from largest to smallest", async () => {
+    const report = await getFileReport(build);
+
+    assert.deepEqual(
+      report.map(({ path, size }) => [path, size]),
+      [
+        ["main.js", 3000],
+        ["logo.png", 2000],
+        ["style.css", 1500],
+        [join("chunks", "lazy.js"), 400],
+        ["LICENSE", 100],
+      ],
+    );
+    assert.equal(report[3].name, "lazy.js");
+    assert.equal(report[0].share, (3000 / 7000) * 100);
+  });
+
+  it("compresses each file", async () => {
+    const [main] = await getFileReport(build, { top: 1 });
+    assert.ok(main.sizeGzip > 0 && main.sizeGzip < main.size);
+    assert.ok(main.sizeBrotli > 0 && main.sizeBrotli < main.size);
+  });
+
+  it("only lists the largest files with the top option", async () => {
+    const report = await getFileReport(build, { top: 2 });
+    assert.deepEqual(
+      report.map(({ name }) => name),
+      ["main.js", "logo.png"],
+    );
+    // the share is still of the whole build
+    assert.equal(report[1].share, (2000 / 7000) * 100);
+  });
+
+  it("throws when the build doesn't exist", async () => {
+    await assert.rejects(getFileReport(join(build, "missing")), {
+      code: "BUILD_NOT_FOUND",
+    });
+  });
+});
+
+describe("getTypeReport", () => {
+  it("groups the files by category and extension, largest first", async () => {
+    const { categories, extensions } = await getTypeReport(build);
+
+    assert.deepEqual(
+      categories.map(({ name, count, size }) => [name, count, size]),
+      [
+        ["scripts", 2, 3400],
+        ["images", 1, 2000],
+        ["styles", 1, 1500],
+        ["other", 1, 100],
+      ],
+    );
+    assert.deepEqual(
+      extensions.map(({ name, category }) => [name, category]),
+      [
+        ["js", "scripts"],
+        ["png", "images"],
+        ["css", "styles"],
+        ["(none)", "other"],
+      ],
+    );
+    assert.equal(categories[0].share, (3400 / 7000) * 100);
+  });
+
+  it("counts incompressible files at their raw size", async () => {
+    const { categories } = await getTypeReport(build);
+    const [main] = await getFileReport(build, { top: 1 });
+    const group = (name) =>
+      categories.find((category) => category.name === name);
+
+    // the lazy chunk is too small to be compressed
+    assert.equal(group("scripts").sizeGzip, main.sizeGzip + 400);
+    assert.equal(group("scripts").sizeBrotli, main.sizeBrotli + 400);
+    // nothing in the group is compressed
+    assert.equal(group("images").sizeGzip, null);
+    assert.equal(group("other").sizeBrotli, null);
+  });
+
+  it("compresses the files that match the compressible rules", async () => {
+    const { categories } = await getTypeReport(build, {
+      compressible: { types: ["png"], minSize: 0 },
+    });
+    const group = (name) =>
+      categories.find((category) => category.name === name);
+
+    assert.ok(group("images").sizeGzip < 2000);
+    assert.equal(group("styles").sizeGzip, null);
+  });
+});
@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { checkBudgets, parseBudgets, parseBytes } from "../src/index.js";
+
+describe("parseBudgets", () => {
+  it("parses comma separated metric:size pairs", () => {
+    assert.deepEqual(
+      parseBudgets(" mainBundleSizeBrotli:150KB, buildFileCount : 400,"),
+      { mainBundleSizeBrotli: "150KB", buildFileCount: "400" },
+    );
+  });
+
+  it("throws when a budget isn't a metric:size pair", () => {
+    assert.throws(() => parseBudgets("buildSize"), {
+      code: "INVALID_BUDGET",
+    });
+    assert.throws(() => parseBudgets("buildSize:"), {
+      code: "INVALID_BUDGET",
+    });
+  });
+});
+
+describe("parseBytes", () => {
+  it("parses numbers with decimal or binary units", () => {
+    assert.equal(parseBytes(512), 512);
+    assert.equal(parseBytes("150KB"), 150000);
+    assert.equal(parseBytes("1.5 mb"), 1500000);
+    assert.equal(parseBytes("2KiB"), 2048);
+    assert.equal(parseBytes("2KB", true), 2048);
+    assert.equal(parseBytes(".5K"), 500);
+  });
+
+  it("throws when the size can't be parsed", () => {
+    assert.throws(() => parseBytes("big"), { code: "INVALID_SIZE" });
+    assert.throws(() => parseBytes("5 XB"), { code: "INVALID_SIZE" });
+  });
+});
+
+describe("checkBudgets", () => {
+  const buildSizes = {
+    mainBundleName: "main.js",
+    mainBundleSizeBrotli: 150000,
+    buildSize: 2048,
+    buildFileCount: 12,
+  };
+
+  it("passes metrics at or under their budget", () => {
+    assert.deepEqual(
+      checkBudgets(buildSizes, {
+        mainBundleSizeBrotli: "150KB",
+        buildFileCount: 10,
+      }),
+      [
+        {
+          metric: "mainBundleSizeBrotli",
+          budget: 150000,
+          actual: 150000,
+          passed: true,
+        },
+        { metric: "buildFileCount", budget: 10, actual: 12, passed: false },
+      ],
+    );
+  });
+
+  it("parses the budgets with the binary units when asked to", () => {
+    const [result] = checkBudgets(buildSizes, { buildSize: "2KB" }, true);
+    assert.equal(result.budget, 2048);
+    assert.equal(result.passed, true);
+  });
+
+  it("throws for metrics that aren't numeric build sizes", () => {
+    assert.throws(() => checkBudgets(buildSizes, { mainBundleName: 1 }), {
+      code: "INVALID_BUDGET",
+      message: /mainBundleSizeBrotli, buildSize, buildFileCount/,
+    });
+    assert.throws(() => checkBudgets(buildSizes, { missing: 1 }), {
+      code: "INVALID_BUDGET",
+    });
+  });
+});
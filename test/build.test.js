@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+  getBuildSizes,
+  getBundlePrefix,
+  getFileSizeBrotli,
+  getFileSizeGzip,
+  parseFileTypes,
+} from "../src/index.js";
+
+// the size of each file in the build, in bytes
+const FILES = {
+  "main.js": 3000,
+  "vendor.js": 2000,
+  "style.css": 1500,
+  "logo.png": 2000,
+};
+
+let build;
+
+before(async () => {
+  build = await mkdtemp(join(tmpdir(), "build-sizes-"));
+  for (const [path, size] of Object.entries(FILES)) {
+    await writeFile(join(build, path), "a".repeat(size));
+  }
+});
+
+after(() => rm(build, { recursive: true, force: true }));
+
+describe("parseFileTypes", () => {
+  it("parses comma separated types without duplicates or dots", () => {
+    assert.deepEqual(parseFileTypes("js, .css,,js"), ["js", "css"]);
+    assert.deepEqual(parseFileTypes(["js", "css,mjs"]), ["js", "css", "mjs"]);
+  });
+});
+
+describe("getBundlePrefix", () => {
+  it("prefixes the bundles after the main one by their type", () => {
+    assert.equal(getBundlePrefix("js"), "mainBundle");
+    assert.equal(getBundlePrefix("css", 1), "cssBundle");
+    assert.equal(getBundlePrefix("D.TS", 2), "dtsBundle");
+  });
+});
+
+describe("getBuildSizes", () => {
+  it("measures the largest file of each bundle type", async () => {
+    const sizes = await getBuildSizes(build, "js,css,wasm");
+
+    assert.equal(sizes.mainBundleName, "main.js");
+    assert.equal(sizes.mainBundleSize, 3000);
+    assert.equal(sizes.cssBundleName, "style.css");
+    assert.equal(sizes.cssBundleSize, 1500);
+    assert.ok(sizes.cssBundleSizeGzip < 1500);
+    assert.ok(sizes.cssBundleSizeBrotli < 1500);
+    assert.equal(sizes.wasmBundleName, "Not found");
+    assert.equal(sizes.wasmBundleSize, 0);
+    assert.equal(sizes.buildSize, 8500);
+    assert.equal(sizes.buildFileCount, 4);
+  });
+
+  it("keeps the main bundle first and the other bundles last", async () => {
+    assert.deepEqual(Object.keys(await getBuildSizes(build, ["js", "css"])), [
+      "mainBundleName",
+      "mainBundleSize",
+      "mainBundleSizeGzip",
+      "mainBundleSizeBrotli",
+      "buildSize",
+      "buildSizeOnDisk",
+      "buildFileCount",
+      "cssBundleName",
+      "cssBundleSize",
+      "cssBundleSizeGzip",
+      "cssBundleSizeBrotli",
+    ]);
+  });
+
+  it("throws when the build doesn't exist", async () => {
+    await assert.rejects(getBuildSizes(join(build, "missing")), {
+      code: "BUILD_NOT_FOUND",
+      path: join(build, "missing"),
+    });
+  });
+});
+
+describe("getBuildSizes with the transfer option", () => {
+  // the total of a compressed size of each file
+  const total = async (getSize, names) =>
+    (await Promise.all(names.map((name) => getSize(join(build, name))))).reduce(
+      (sum, size) => sum + size,
+      0,
+    );
+
+  it("isn't estimated by default", async () => {
+    assert.equal("buildSizeGzip" in (await getBuildSizes(build)), false);
+  });
+
+  it("compresses the compressible files and adds the rest as is", async () => {
+    const sizes = await getBuildSizes(build, "js", { transfer: true });
+    const compressible = ["main.js", "vendor.js", "style.css"];
+
+    assert.equal(
+      sizes.buildSizeGzip,
+      (await total(getFileSizeGzip, compressible)) + FILES["logo.png"],
+    );
+    assert.equal(
+      sizes.buildSizeBrotli,
+      (await total(getFileSizeBrotli, compressible)) + FILES["logo.png"],
+    );
+  });
+
+  it("follows the compressible rules", async () => {
+    const sizes = await getBuildSizes(build, "js", {
+      transfer: true,
+      compressible: { types: ["application/javascript"], minSize: "2.5KB" },
+    });
+
+    assert.equal(
+      sizes.buildSizeGzip,
+      (await total(getFileSizeGzip, ["main.js"])) + 5500,
+    );
+  });
+
+  it("only compresses the types in the rules", async () => {
+    const sizes = await getBuildSizes(build, "js", {
+      transfer: true,
+      compressible: { types: ["png"], minSize: 0 },
+    });
+
+    assert.equal(
+      sizes.buildSizeGzip,
+      (await total(getFileSizeGzip, ["logo.png"])) + 6500,
+    );
+  });
+});
@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { getBuildSizes, getEntryReport } from "../src/index.js";
+
+// the size of each file in the build, in bytes
+const FILES = {
+  "assets/main-abc.js": 3000,
+  "assets/vendor-def.js": 2000,
+  "assets/main-abc.css": 1000,
+  // the largest file, which isn't loaded until it's needed
+  "assets/lazy-ghi.js": 5000,
+  "assets/admin-xyz.js": 1500,
+};
+
+const VITE_MANIFEST = {
+  "src/main.ts": {
+    file: "assets/main-abc.js",
+    isEntry: true,
+    imports: ["_vendor"],
+    dynamicImports: ["src/lazy.ts"],
+    css: ["assets/main-abc.css"],
+  },
+  _vendor: { file: "assets/vendor-def.js" },
+  "src/lazy.ts": { file: "assets/lazy-ghi.js", isDynamicEntry: true },
+  "src/admin.ts": { file: "assets/admin-xyz.js", isEntry: true },
+};
+
+// the output paths are relative to the directory esbuild was run in
+const ESBUILD_METAFILE = {
+  inputs: {},
+  outputs: {
+    "build/assets/main-abc.js": {
+      entryPoint: "src/main.ts",
+      cssBundle: "build/assets/main-abc.css",
+      imports: [
+        { path: "build/assets/vendor-def.js", kind: "import-statement" },
+        { path: "build/assets/lazy-ghi.js", kind: "dynamic-import" },
+      ],
+    },
+    "build/assets/vendor-def.js": { imports: [] },
+    "build/assets/lazy-ghi.js": { entryPoint: "src/lazy.ts", imports: [] },
+    "build/assets/main-abc.css": { imports: [] },
+    "build/assets/admin-xyz.js": { entryPoint: "src/admin.ts", imports: [] },
+  },
+};
+
+const WEBPACK_STATS = {
+  entrypoints: {
+    main: {
+      assets: [
+        { name: "assets/vendor-def.js" },
+        { name: "assets/main-abc.css" },
+        { name: "assets/main-abc.js" },
+      ],
+    },
+    admin: { assets: ["assets/admin-xyz.js"] },
+  },
+};
+
+describe("bundler metadata", () => {
+  let dir;
+  let build;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+    build = join(dir, "build");
+    await mkdir(join(build, "assets"), { recursive: true });
+    await mkdir(join(build, ".vite"));
+    for (const [path, size] of Object.entries(FILES)) {
+      await writeFile(join(build, path), "a".repeat(size));
+    }
+
+    const json = (path, data) => writeFile(path, JSON.stringify(data));
+    await json(join(build, ".vite", "manifest.json"), VITE_MANIFEST);
+    await json(join(dir, "meta.json"), ESBUILD_METAFILE);
+    await json(join(dir, "stats.json"), WEBPACK_STATS);
+    await writeFile(join(dir, "invalid.json"), "[]");
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("uses the largest file without a metafile", async () => {
+    const sizes = await getBuildSizes(build);
+    assert.equal(sizes.mainBundleName, "lazy-ghi.js");
+  });
+
+  for (const [bundler, metafile] of [
+    ["Vite manifest", ".vite/manifest.json"],
+    ["esbuild metafile", "../meta.json"],
+    ["webpack stats file", "../stats.json"],
+  ]) {
+    it(`finds the entry chunks and their static imports in a ${bundler}`, async () => {
+      const sizes = await getBuildSizes(build, "js,css", { metafile });
+
+      assert.equal(sizes.mainBundleName, "main-abc.js");
+      assert.equal(sizes.mainBundleSize, 5000);
+      assert.equal(sizes.cssBundleName, "main-abc.css");
+      assert.equal(sizes.cssBundleSize, 1000);
+    });
+  }
+
+  it("measures the entry that was asked for", async () => {
+    const sizes = await getBuildSizes(build, "js", {
+      metafile: ".vite/manifest.json",
+      entry: "src/admin.ts",
+    });
+    assert.equal(sizes.mainBundleName, "admin-xyz.js");
+    assert.equal(sizes.mainBundleSize, 1500);
+
+    await assert.rejects(
+      getBuildSizes(build, "js", {
+        metafile: ".vite/manifest.json",
+        entry: "src/missing.ts",
+      }),
+      { code: "INVALID_METAFILE", message: /src\/main\.ts, src\/admin\.ts/ },
+    );
+  });
+
+  it("reports the chunks of each entry, largest first", async () => {
+    const report = await getEntryReport(build, "../meta.json");
+
+    assert.deepEqual(
+      report.map(({ name, size, chunks }) => [
+        name,
+        size,
+        chunks.map((chunk) => chunk.path),
+      ]),
+      [
+        [
+          "src/main.ts",
+          6000,
+          [
+            join("assets", "main-abc.js"),
+            join("assets", "main-abc.css"),
+            join("assets", "vendor-def.js"),
+          ],
+        ],
+        ["src/admin.ts", 1500, [join("assets", "admin-xyz.js")]],
+      ],
+    );
+    assert.ok(report[0].sizeGzip > 0 && report[0].sizeGzip < 6000);
+  });
+
+  it("throws for metadata it doesn't recognize", async () => {
+    for (const metafile of ["../invalid.json", "../missing.json"]) {
+      await assert.rejects(getEntryReport(build, metafile), {
+        code: "INVALID_METAFILE",
+      });
+    }
+  });
+});
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { openCache } from "../src/cache.js";
+
+// the keys of the entries saved to a cache directory, in order
+const savedKeys = async (dir) =>
+  Object.keys(
+    JSON.parse(await readFile(join(dir, "compression.json"), "utf8")).entries,
+  );
+
+describe("openCache", () => {
+  let dir;
+  let count = 0;
+  // the caches are shared by directory, so each test uses its own
+  const cacheDir = () => join(dir, `cache-${(count += 1)}`);
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("saves the least recently used entries first", async () => {
+    const path = cacheDir();
+    const cache = await openCache(path);
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.set("c", 3);
+    assert.equal(cache.get("a"), 1);
+    assert.equal(cache.get("missing"), undefined);
+    await cache.save();
+
+    assert.deepEqual(await savedKeys(path), ["b", "c", "a"]);
+  });
+
+  it("evicts the least recently used entries beyond the limit", async () => {
+    const path = cacheDir();
+    const cache = await openCache(path);
+    for (let index = 0; index <= 50000; index += 1) {
+      cache.set(`file-${index}`, index);
+    }
+    cache.get("file-0");
+    await cache.save();
+
+    const keys = await savedKeys(path);
+    assert.equal(keys.length, 50000);
+    assert.equal(keys.includes("file-1"), false);
+    assert.equal(keys.at(-1), "file-0");
+  });
+
+  it("reads the entries saved with the same library versions", async () => {
+    const path = cacheDir();
+    const { zlib, brotli, zstd } = process.versions;
+    await mkdir(path);
+    await writeFile(
+      join(path, "compression.json"),
+      JSON.stringify({ zlib, brotli, zstd, entries: { a: 1 } }),
+    );
+
+    assert.equal((await openCache(path)).get("a"), 1);
+  });
+
+  for (const library of ["zlib", "brotli", "zstd"]) {
+    it(`discards the entries when the ${library} version changes`, async () => {
+      const path = cacheDir();
+      await mkdir(path);
+      await writeFile(
+        join(path, "compression.json"),
+        JSON.stringify({
+          ...process.versions,
+          [library]: "0.0.0",
+          entries: { a: 1 },
+        }),
+      );
+
+      assert.equal((await openCache(path)).get("a"), undefined);
+    });
+  }
+
+  it("starts over when the cache is corrupt", async () => {
+    const path = cacheDir();
+    await mkdir(path);
+    await writeFile(join(path, "compression.json"), "{");
+
+    const cache = await openCache(path);
+    assert.equal(cache.get("a"), undefined);
+    cache.set("a", 1);
+    await cache.save();
+    assert.deepEqual(await savedKeys(path), ["a"]);
+  });
+});
@@ -0,0 +1,180 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+  compareBuildSizes,
+  diffBuildSizes,
+  readBuildSizes,
+  saveBuildSizes,
+} from "../src/index.js";
+import { REPORTERS, savedLabel } from "../src/reporters.js";
+
+describe("diffBuildSizes", () => {
+  it("diffs the numeric metrics", () => {
+    assert.deepEqual(
+      diffBuildSizes({ buildSize: 200 }, { buildSize: 250 }).buildSize,
+      { base: 200, head: 250, delta: 50, percent: 25, changed: true },
+    );
+  });
+
+  it("doesn't have a percentage for metrics that grew from nothing", () => {
+    const deltas = diffBuildSizes(
+      { buildSizeGzip: 0, buildSizeBrotli: 0 },
+      { buildSizeGzip: 10, buildSizeBrotli: 0 },
+    );
+    assert.equal(deltas.buildSizeGzip.percent, null);
+    assert.equal(deltas.buildSizeBrotli.percent, 0);
+    assert.equal(deltas.buildSizeBrotli.changed, false);
+  });
+
+  it("compares the other metrics without a delta", () => {
+    assert.deepEqual(
+      diffBuildSizes(
+        { mainBundleName: "main.1.js" },
+        { mainBundleName: "main.2.js" },
+      ).mainBundleName,
+      {
+        base: "main.1.js",
+        head: "main.2.js",
+        delta: null,
+        percent: null,
+        changed: true,
+      },
+    );
+  });
+
+  it("skips the metrics that the previous build doesn't have", () => {
+    assert.deepEqual(
+      Object.keys(
+        diffBuildSizes({ buildSize: 1 }, { buildSize: 1, buildSizeGzip: 1 }),
+      ),
+      ["buildSize"],
+    );
+  });
+});
+
+describe("compareBuildSizes", () => {
+  let dir;
+
+  // writes the files of a build, whose contents are their sizes in bytes
+  const writeBuild = async (name, files) => {
+    const path = join(dir, name);
+    await mkdir(path);
+    for (const [file, size] of Object.entries(files)) {
+      await writeFile(join(path, file), "a".repeat(size));
+    }
+    return path;
+  };
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+    await writeBuild("base", { "main.js": 400, "old.css": 50, "same.js": 10 });
+    await writeBuild("head", { "main.js": 500, "new.js": 30, "same.js": 10 });
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("diffs the build sizes and files of two builds", async () => {
+    const { base, head, deltas, files } = await compareBuildSizes(
+      join(dir, "base"),
+      join(dir, "head"),
+    );
+
+    assert.equal(base.buildSize, 460);
+    assert.equal(head.buildSize, 540);
+    assert.deepEqual(deltas.buildSize, {
+      base: 460,
+      head: 540,
+      delta: 80,
+      percent: (80 / 460) * 100,
+      changed: true,
+    });
+    assert.equal(deltas.buildFileCount.changed, false);
+    assert.equal(deltas.mainBundleSize.delta, 100);
+
+    assert.deepEqual(files, {
+      added: [{ path: "new.js", base: 0, head: 30, delta: 30 }],
+      removed: [{ path: "old.css", base: 50, head: 0, delta: -50 }],
+      changed: [{ path: "main.js", base: 400, head: 500, delta: 100 }],
+    });
+  });
+
+  it("throws when a build doesn't exist", async () => {
+    await assert.rejects(
+      compareBuildSizes(join(dir, "base"), join(dir, "missing")),
+      { code: "BUILD_NOT_FOUND" },
+    );
+  });
+
+  it("logs the differences from the base build", async (t) => {
+    const log = t.mock.method(console, "log", () => {});
+    const path = join(dir, "head");
+    const comparison = await compareBuildSizes(join(dir, "base"), path);
+
+    REPORTERS.console(
+      [
+        {
+          path,
+          buildSizes: comparison.head,
+          budgetResults: [],
+          deltas: comparison.deltas,
+          files: comparison.files,
+          since: "base",
+        },
+      ],
+      { types: ["js"], decimals: 2, binary: false, options: {} },
+    );
+
+    const output = log.mock.calls
+      .map((call) => call.arguments.join(" "))
+      .join("\n");
+    assert.match(output, /Compared to base/);
+    assert.match(output, /size: 540 B \(▲ 80\.00 B, \+17\.39%\)/);
+    assert.match(output, /file count: 3 \(no change\)/);
+    assert.match(output, /\+ new\.js: 0 B -> 30\.00 B \(▲ 30\.00 B\)/);
+    assert.match(output, /- old\.css: 50\.00 B -> 0 B \(▼ 50\.00 B\)/);
+  });
+});
+
+describe("diffing the saved build sizes", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("diffs the build sizes read back from the CSV file", async () => {
+    const outfile = join(dir, "sizes.csv");
+    const saved = { mainBundleName: "main.1.js", buildSize: 1000 };
+    await saveBuildSizes(saved, outfile, { git: false, version: "1.0.0" });
+
+    const [previous] = await readBuildSizes(outfile);
+    const deltas = diffBuildSizes(previous, {
+      mainBundleName: "main.1.js",
+      buildSize: 900,
+    });
+
+    // the metadata columns aren't metrics of the current build
+    assert.deepEqual(Object.keys(deltas), ["mainBundleName", "buildSize"]);
+    assert.equal(deltas.mainBundleName.changed, false);
+    assert.equal(deltas.buildSize.delta, -100);
+    assert.equal(deltas.buildSize.percent, -10);
+    assert.match(savedLabel(previous), /^1\.0\.0 saved \d{4}-\d{2}-\d{2}T/);
+  });
+
+  it("labels the saved build sizes by version, commit, and timestamp", () => {
+    assert.equal(
+      savedLabel({
+        Version: "3.2.1",
+        Commit: "1a2b3c4d5e6f",
+        Timestamp: "2024-04-20T20:20:00.000Z",
+      }),
+      "3.2.1 (1a2b3c4) saved 2024-04-20T20:20:00.000Z",
+    );
+    assert.equal(savedLabel({ Timestamp: "4/20/24" }), "4/20/24");
+  });
+});
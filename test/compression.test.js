@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+  getBuildSizes,
+  getFileSizeBrotli,
+  getFileSizeGzip,
+  getFileSizeZstd,
+  isZstdSupported,
+  parseCompression,
+} from "../src/index.js";
+
+describe("parseCompression", () => {
+  it("parses the settings of each format", () => {
+    assert.deepEqual(parseCompression("gzip:9, brotli:5,window:22,mode:text"), {
+      gzip: { level: 9 },
+      brotli: { quality: 5, window: 22, mode: "text" },
+    });
+  });
+
+  it("enables zstd without a level", () => {
+    assert.deepEqual(parseCompression("zstd"), { zstd: {} });
+    assert.deepEqual(parseCompression("zstd:19"), { zstd: { level: 19 } });
+  });
+
+  it("validates the object form", () => {
+    assert.deepEqual(parseCompression({ gzip: { level: 1 }, zstd: true }), {
+      gzip: { level: 1 },
+      zstd: {},
+    });
+    assert.throws(() => parseCompression({ lzma: {} }), {
+      code: "INVALID_COMPRESSION",
+    });
+  });
+
+  it("throws for unknown, missing, and out of range settings", () => {
+    for (const settings of [
+      "level:9",
+      "gzip",
+      "gzip:10",
+      "brotli:high",
+      "window:9",
+      "mode:binary",
+      "zstd:0",
+    ]) {
+      assert.throws(
+        () => parseCompression(settings),
+        { code: "INVALID_COMPRESSION" },
+        settings,
+      );
+    }
+  });
+});
+
+describe("compressed sizes", () => {
+  let dir;
+  let file;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+    file = join(dir, "main.js");
+    // repetitive, but not so much that every level compresses it the same
+    const lines = Array.from(
+      { length: 2000 },
+      (_, index) => `export const value${index} = ${(index * 7919) % 1000};`,
+    );
+    await writeFile(file, lines.join("\n"));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("uses the compression levels", async () => {
+    assert.ok(
+      (await getFileSizeGzip(file, { level: 1 })) >
+        (await getFileSizeGzip(file, { level: 9 })),
+    );
+    assert.ok(
+      (await getFileSizeBrotli(file, { quality: 1 })) >
+        (await getFileSizeBrotli(file, { quality: 11 })),
+    );
+  });
+
+  it("records the settings that aren't the defaults", async () => {
+    const sizes = await getBuildSizes(dir, "js", {
+      compression: "gzip:1,mode:text",
+    });
+
+    assert.equal(sizes.compression, "gzip:1 mode:text");
+    assert.equal(
+      sizes.mainBundleSizeGzip,
+      await getFileSizeGzip(file, { level: 1 }),
+    );
+    assert.equal("compression" in (await getBuildSizes(dir)), false);
+  });
+
+  it("measures zstd sizes when requested and supported", async () => {
+    const sizes = await getBuildSizes(dir, "js", { compression: "zstd" });
+
+    if (isZstdSupported()) {
+      assert.equal(sizes.mainBundleSizeZstd, await getFileSizeZstd(file));
+      assert.equal(sizes.compression, "zstd");
+    } else {
+      assert.equal("mainBundleSizeZstd" in sizes, false);
+      assert.equal("compression" in sizes, false);
+      await assert.rejects(getFileSizeZstd(file), {
+        code: "ZSTD_UNSUPPORTED",
+      });
+    }
+  });
+
+  it("throws when a file can't be compressed", async () => {
+    await assert.rejects(getFileSizeGzip(join(dir, "missing.js")), {
+      code: "COMPRESSION_FAILED",
+      path: join(dir, "missing.js"),
+    });
+  });
+});
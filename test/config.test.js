@@ -0,0 +1,152 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, afterEach, before, describe, it } from "node:test";
+import { loadConfig, suggest, validateConfig } from "../src/config.js";
+
+// a subset of the CLI's flags, since importing the CLI would run it
+const FLAG_INFO = {
+  config: {},
+  path: {},
+  binary: { boolean: true },
+  decimals: { default: 2 },
+  format: { choices: ["console", "json", "markdown"] },
+  top: { optional: true },
+  budget: {},
+  threshold: {},
+};
+
+const invalid = (message) => ({ code: "INVALID_CONFIG", message });
+
+describe("loadConfig", () => {
+  let dir;
+  let count = 0;
+  const cwd = process.cwd();
+
+  // each test looks for the config in its own project directory
+  const project = async (files) => {
+    const path = join(dir, `project-${(count += 1)}`);
+    await mkdir(path);
+    for (const [name, contents] of Object.entries(files)) {
+      await writeFile(join(path, name), contents);
+    }
+    process.chdir(path);
+    return path;
+  };
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+  });
+
+  afterEach(() => process.chdir(cwd));
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("finds the config files in order", async () => {
+    const path = await project({
+      "build-sizes.config.mjs": "export default { decimals: 1 };",
+      "build-sizes.config.json": '{ "decimals": 3 }',
+    });
+
+    assert.deepEqual(await loadConfig(), {
+      config: { decimals: 1 },
+      source: join(path, "build-sizes.config.mjs"),
+    });
+  });
+
+  it("falls back to the buildSizes key of the package.json file", async () => {
+    const path = await project({
+      "package.json": JSON.stringify({ buildSizes: { binary: true } }),
+    });
+
+    assert.deepEqual(await loadConfig(), {
+      config: { binary: true },
+      source: join(path, "package.json"),
+    });
+  });
+
+  it("is null without a config", async () => {
+    await project({ "package.json": '{ "name": "app" }' });
+    assert.equal(await loadConfig(), null);
+  });
+
+  it("loads the config file that was asked for", async () => {
+    const path = await project({ "sizes.json": '{ "top": 5 }' });
+    assert.deepEqual((await loadConfig("sizes.json")).config, { top: 5 });
+
+    await assert.rejects(loadConfig("missing.json"), {
+      code: "INVALID_CONFIG",
+      path: join(path, "missing.json"),
+    });
+  });
+
+  it("throws when the config file can't be parsed", async () => {
+    await project({ "build-sizes.config.json": "{ decimals: 1 }" });
+    await assert.rejects(loadConfig(), { code: "INVALID_CONFIG" });
+  });
+});
+
+describe("validateConfig", () => {
+  const validate = (config) =>
+    validateConfig(config, FLAG_INFO, "/app/build-sizes.config.js");
+
+  it("accepts the types of each option", () => {
+    const config = {
+      path: ["dist", "packages/*/dist"],
+      binary: true,
+      decimals: 1,
+      format: "json",
+      top: 10,
+      budget: { buildSize: "5MB" },
+      threshold: 0,
+    };
+    assert.equal(validate(config), config);
+  });
+
+  it("throws for configs that aren't objects", () => {
+    assert.throws(() => validate([]), invalid(/must be an object/));
+    assert.throws(() => validate(null), invalid(/must be an object/));
+  });
+
+  it("suggests the closest option for unknown options", () => {
+    assert.throws(
+      () => validate({ decimal: 1 }),
+      invalid(
+        /Unknown option "decimal" in build-sizes.config.js. Did you mean "decimals"\?/,
+      ),
+    );
+    // the config can't point to another config
+    assert.throws(() => validate({ config: "other.js" }), invalid(/Unknown/));
+  });
+
+  it("throws for values of the wrong type or choice", () => {
+    assert.throws(
+      () => validate({ binary: "yes" }),
+      invalid(/"binary" .* expected a boolean/),
+    );
+    assert.throws(
+      () => validate({ decimals: 1.5 }),
+      invalid(/expected an integer/),
+    );
+    assert.throws(
+      () => validate({ top: 0 }),
+      invalid(/expected a boolean or a positive integer/),
+    );
+    assert.throws(
+      () => validate({ threshold: -1 }),
+      invalid(/expected a number of bytes/),
+    );
+    assert.throws(
+      () => validate({ format: "xml" }),
+      invalid(/Expected one of: console, json, markdown/),
+    );
+  });
+});
+
+describe("suggest", () => {
+  it("only suggests names that are a typo or two away", () => {
+    assert.equal(suggest("formt", ["format", "filetype"]), "format");
+    assert.equal(suggest("verbose", ["format", "filetype"]), undefined);
+  });
+});
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { link, mkdtemp, rm, stat, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { getSizeOnDisk } from "../src/disk.js";
+
+describe("getSizeOnDisk", () => {
+  let dir;
+  const file = (name) => ({ name, path: join(dir, name) });
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+    await writeFile(join(dir, "main.js"), "a".repeat(5000));
+    await writeFile(join(dir, "style.css"), "b".repeat(100));
+    await writeFile(join(dir, "empty.txt"), "");
+    await link(join(dir, "main.js"), join(dir, "copy.js"));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  // the allocated size of a file, rounded up to whole blocks
+  const allocated = async (name) => {
+    const { size, blocks, blksize } = await stat(join(dir, name));
+    return blocks ? blocks * 512 : Math.ceil(size / blksize) * blksize;
+  };
+
+  it("adds up the blocks allocated for each file", async () => {
+    const size = await getSizeOnDisk([file("main.js"), file("style.css")]);
+
+    assert.equal(
+      size,
+      (await allocated("main.js")) + (await allocated("style.css")),
+    );
+    assert.ok(size >= 5100);
+  });
+
+  it("doesn't allocate anything for empty files", async () => {
+    assert.equal(await getSizeOnDisk([file("empty.txt")]), 0);
+  });
+
+  it("only counts hard links to the same file once", async () => {
+    assert.equal(
+      await getSizeOnDisk([file("main.js"), file("copy.js")], {
+        concurrency: 1,
+      }),
+      await allocated("main.js"),
+    );
+  });
+});
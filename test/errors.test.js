@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+  BuildSizesError,
+  formatBytes,
+  getFiles,
+  help,
+  saveBuildSizes,
+} from "../src/index.js";
+import { toBuildSizesError } from "../src/errors.js";
+
+describe("BuildSizesError", () => {
+  it("has a code, a cause, and a path", () => {
+    const cause = new Error("ENOENT");
+    const err = new BuildSizesError("BUILD_NOT_FOUND", "Missing", {
+      cause,
+      path: "/app/dist",
+    });
+
+    assert.ok(err instanceof Error);
+    assert.equal(err.name, "BuildSizesError");
+    assert.equal(err.code, "BUILD_NOT_FOUND");
+    assert.equal(err.message, "Missing");
+    assert.equal(err.cause, cause);
+    assert.equal(err.path, "/app/dist");
+    assert.equal("path" in new BuildSizesError("INVALID_SIZE", "NaN"), false);
+  });
+
+  it("keeps the errors that are already typed", () => {
+    const typed = new BuildSizesError("INVALID_SIZE", "NaN");
+    assert.equal(toBuildSizesError(typed, "BUILD_READ_FAILED", "Read"), typed);
+
+    const cause = new Error("EACCES");
+    const err = toBuildSizesError(cause, "BUILD_READ_FAILED", "Read", "/app");
+    assert.equal(err.code, "BUILD_READ_FAILED");
+    assert.equal(err.cause, cause);
+    assert.equal(err.path, "/app");
+  });
+});
+
+describe("the library functions", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("throw instead of exiting the process", async () => {
+    await assert.rejects(getFiles(join(dir, "missing")), {
+      name: "BuildSizesError",
+      code: "BUILD_NOT_FOUND",
+      path: join(dir, "missing"),
+    });
+    await assert.rejects(
+      saveBuildSizes({ buildSize: 1 }, join(dir, "missing", "sizes.csv"), {
+        git: false,
+        version: "",
+      }),
+      { code: "OUTFILE_UNWRITABLE", path: join(dir, "missing", "sizes.csv") },
+    );
+    assert.throws(
+      () => formatBytes(1000, 200),
+      (err) => err.code === "INVALID_SIZE" && err.cause instanceof RangeError,
+    );
+  });
+
+  it("still throws from the deprecated help function", () => {
+    const cause = new Error("Bad input");
+    assert.throws(
+      () => help("Error:", cause),
+      (err) => {
+        assert.equal(err.code, "INVALID_ARGUMENT");
+        assert.equal(err.cause, cause);
+        assert.match(err.message, /^Error: Error: Bad input/);
+        return true;
+      },
+    );
+  });
+});
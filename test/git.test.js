@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { findBuildSizesByCommit } from "../src/index.js";
+import { getCiInfo, getGitInfo, resolveCommit } from "../src/git.js";
+
+describe("findBuildSizesByCommit", () => {
+  const records = [
+    { Commit: "1a2b3c4d5e6f", buildSize: 100 },
+    { buildSize: 200 },
+    { Commit: "1A2B3C4D5E6F", buildSize: 300 },
+    { Commit: "9f8e7d6c5b4a", buildSize: 400 },
+  ];
+
+  it("finds the build sizes saved most recently for a commit", () => {
+    assert.equal(findBuildSizesByCommit(records, "1a2b3c4").buildSize, 300);
+    assert.equal(
+      findBuildSizesByCommit(records, " 9F8E7D6C5B4A ").buildSize,
+      400,
+    );
+  });
+
+  it("doesn't find commits that weren't saved", () => {
+    assert.equal(findBuildSizesByCommit(records, "abcdef0"), undefined);
+    assert.equal(findBuildSizesByCommit(records, ""), undefined);
+  });
+});
+
+describe("getCiInfo", () => {
+  it("reads the provider, run, and pull request", () => {
+    assert.deepEqual(
+      getCiInfo({
+        GITHUB_ACTIONS: "true",
+        GITHUB_RUN_ID: "42",
+        GITHUB_REF: "refs/pull/123/merge",
+      }),
+      { provider: "github", runId: "42", pullRequest: "123" },
+    );
+  });
+
+  it("leaves out builds that aren't for a pull request", () => {
+    assert.deepEqual(
+      getCiInfo({ TRAVIS: "true", TRAVIS_PULL_REQUEST: "false" }),
+      { provider: "travis" },
+    );
+  });
+
+  it("is null outside of a known CI provider", () => {
+    assert.equal(getCiInfo({}), null);
+  });
+});
+
+describe("getGitInfo", () => {
+  let dir;
+  const git = (...args) =>
+    execFileSync(
+      "git",
+      ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args],
+      { cwd: dir, encoding: "utf8" },
+    ).trim();
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+    git("init", "--quiet", "--initial-branch=main");
+    await writeFile(join(dir, "index.js"), "a");
+    git("add", "index.js");
+    git("commit", "--quiet", "--message=initial");
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("reads the checked out commit", async () => {
+    const info = await getGitInfo(dir);
+
+    assert.equal(info.commit, git("rev-parse", "HEAD"));
+    assert.equal(info.branch, "main");
+    assert.match(info.commitDate, /^\d{4}-\d{2}-\d{2}T/);
+    assert.equal(info.dirty, false);
+  });
+
+  it("is dirty when tracked files have changed", async () => {
+    await writeFile(join(dir, "untracked.js"), "b");
+    assert.equal((await getGitInfo(dir)).dirty, false);
+
+    await writeFile(join(dir, "index.js"), "b");
+    assert.equal((await getGitInfo(dir)).dirty, true);
+    git("checkout", "--quiet", "index.js");
+  });
+
+  it("resolves branches to commits", async () => {
+    assert.equal(await resolveCommit("main", dir), git("rev-parse", "HEAD"));
+    // anything else is left for the saved commits to match
+    assert.equal(await resolveCommit("1a2b3c4", dir), "1a2b3c4");
+  });
+});
@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createFileFilter, globToRegExp } from "../src/glob.js";
+
+const matches = (glob, path) => globToRegExp(glob).test(path);
+
+describe("globToRegExp", () => {
+  it("matches * within a single directory", () => {
+    assert.equal(matches("static/*.js", "static/main.js"), true);
+    assert.equal(matches("static/*.js", "static/js/main.js"), false);
+    assert.equal(matches("*.js", "main.js.map"), false);
+  });
+
+  it("matches ** across directories", () => {
+    assert.equal(matches("static/**", "static/js/vendor/main.js"), true);
+    assert.equal(matches("**/*.js", "main.js"), true);
+    assert.equal(matches("**/*.js", "static/js/main.js"), true);
+    assert.equal(matches("static/**/*.css", "static/main.css"), true);
+    assert.equal(matches("static/**/*.css", "assets/main.css"), false);
+  });
+
+  it("matches ? as a single character other than a slash", () => {
+    assert.equal(matches("chunk-?.js", "chunk-1.js"), true);
+    assert.equal(matches("chunk-?.js", "chunk-12.js"), false);
+    assert.equal(matches("a?b", "a/b"), false);
+  });
+
+  it("matches character classes and braces", () => {
+    assert.equal(matches("[0-9].js", "7.js"), true);
+    assert.equal(matches("[!0-9].js", "7.js"), false);
+    assert.equal(matches("*.{js,css}", "main.css"), true);
+    assert.equal(matches("*.{js,css}", "main.html"), false);
+  });
+
+  it("escapes regular expression characters", () => {
+    assert.equal(matches("main.(legacy).js", "main.(legacy).js"), true);
+    assert.equal(matches("main.js", "mainxjs"), false);
+  });
+});
+
+describe("createFileFilter", () => {
+  it("matches patterns without a slash against the file name", () => {
+    const filter = createFileFilter({ exclude: "*.map" });
+    assert.equal(filter("static/js/main.js.map"), false);
+    assert.equal(filter("static/js/main.js"), true);
+  });
+
+  it("matches patterns with a slash against the relative path", () => {
+    const filter = createFileFilter({ include: ["./static/**"] });
+    assert.equal(filter("static/js/main.js"), true);
+    assert.equal(filter("assets/static/main.js"), false);
+  });
+
+  it("excludes files even when they're included", () => {
+    const filter = createFileFilter({
+      include: "**/*.js",
+      exclude: "static/legacy/**",
+    });
+    assert.equal(filter("static/main.js"), true);
+    assert.equal(filter("static/legacy/main.js"), false);
+  });
+
+  it("matches Windows paths with forward slashes", () => {
+    const filter = createFileFilter({ include: "static/*.js" });
+    assert.equal(filter("static\\main.js"), true);
+  });
+
+  it("measures every file without patterns", () => {
+    assert.equal(createFileFilter()("any/file.txt"), true);
+  });
+});
@@ -0,0 +1,297 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+  getBuildSizeTrends,
+  readBuildSizeRecords,
+  readBuildSizes,
+  saveBuildSizes,
+} from "../src/index.js";
+
+// the git metadata and package.json version would vary between machines
+const save = (buildSizes, outfile) =>
+  saveBuildSizes(buildSizes, outfile, { git: false, version: "1.2.3" });
+
+describe("CSV history", () => {
+  let dir;
+  let count = 0;
+  const outfile = () => join(dir, `sizes-${(count += 1)}.csv`);
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("quotes cells with commas, quotes, and line breaks", async () => {
+    const path = outfile();
+    const name = 'main "app", v2\nchunk.js';
+    await save({ mainBundleName: name, buildSize: 100 }, path);
+
+    const csv = await readFile(path, "utf8");
+    assert.match(csv, /"main ""app"", v2\nchunk\.js"/);
+
+    const [saved] = await readBuildSizes(path);
+    assert.equal(saved.mainBundleName, name);
+    assert.equal(saved.buildSize, 100);
+    assert.equal(saved.Version, "1.2.3");
+  });
+
+  it("keeps quoted cells intact when the file is rewritten", async () => {
+    const path = outfile();
+    const name = 'chunk "a",\r\nb.js';
+    await save({ mainBundleName: name, buildSize: 100 }, path);
+    await save({ mainBundleName: "main.js", buildSizeGzip: 50 }, path);
+
+    const [first, second] = await readBuildSizes(path);
+    assert.equal(first.mainBundleName, name);
+    assert.equal(first.buildSize, 100);
+    assert.equal(second.mainBundleName, "main.js");
+    assert.equal(second.buildSizeGzip, 50);
+  });
+
+  it("appends rows when the file has every column", async () => {
+    const path = outfile();
+    await save({ mainBundleName: "a.js", buildSize: 100 }, path);
+    await save({ buildSize: 200, mainBundleName: "b.js" }, path);
+
+    const saved = await readBuildSizes(path);
+    assert.deepEqual(
+      saved.map((row) => [row.mainBundleName, row.buildSize]),
+      [
+        ["a.js", 100],
+        ["b.js", 200],
+      ],
+    );
+  });
+
+  it("rewrites the file with the union of the columns", async () => {
+    const path = outfile();
+    await save({ mainBundleName: "a.js", buildSize: 100 }, path);
+    await save(
+      { mainBundleName: "b.js", buildSizeGzip: 50, buildSize: 200 },
+      path,
+    );
+
+    const [header] = (await readFile(path, "utf8")).split("\n");
+    assert.equal(
+      header,
+      "Schema,Version,Timestamp,mainBundleName,buildSize,buildSizeGzip",
+    );
+
+    const [first, second] = await readBuildSizes(path);
+    assert.equal(first.buildSize, 100);
+    assert.equal("buildSizeGzip" in first, false);
+    assert.equal(second.buildSizeGzip, 50);
+  });
+
+  it("saves the path of builds that are told apart by it", async () => {
+    const path = outfile();
+    await save({ buildSize: 100 }, path);
+    await saveBuildSizes({ buildSize: 200 }, path, {
+      git: false,
+      version: "1.2.3",
+      path: "packages/ui/dist",
+    });
+
+    const [header] = (await readFile(path, "utf8")).split("\n");
+    assert.equal(header, "Schema,Path,Version,Timestamp,buildSize");
+
+    const [first, second] = await readBuildSizes(path);
+    assert.equal("Path" in first, false);
+    assert.equal(second.Path, "packages/ui/dist");
+  });
+
+  it("migrates legacy files, including rows shifted by the version", async () => {
+    const path = outfile();
+    await writeFile(
+      path,
+      [
+        "Version,,Timestamp,mainBundleName,mainBundleSize,buildSize,(File sizes in bytes)",
+        // saved with a package.json file, like the header
+        "1.0.0,,4/20/24 at 8:20:00 PM EDT,main.js,10,100",
+        // saved without a package.json file, so the cells are shifted left
+        ",4/21/24 at 9:30:00 AM EDT,main.js,20,200",
+        "",
+      ].join("\n"),
+    );
+
+    const legacy = await readBuildSizes(path);
+    assert.deepEqual(legacy, [
+      {
+        Version: "1.0.0",
+        Timestamp: "4/20/24 at 8:20:00 PM EDT",
+        mainBundleName: "main.js",
+        mainBundleSize: 10,
+        buildSize: 100,
+      },
+      {
+        Timestamp: "4/21/24 at 9:30:00 AM EDT",
+        mainBundleName: "main.js",
+        mainBundleSize: 20,
+        buildSize: 200,
+      },
+    ]);
+
+    await save({ mainBundleName: "main.js", mainBundleSize: 30 }, path);
+
+    const csv = await readFile(path, "utf8");
+    const [, ...rows] = csv.trim().split("\n");
+    assert.match(csv, /^Schema,Version,Timestamp,mainBundleName/);
+    // the migrated rows are still marked as having locale dependent timestamps
+    assert.deepEqual(
+      rows.map((row) => row.split(",")[0]),
+      ["1", "1", "2"],
+    );
+
+    const migrated = await readBuildSizes(path);
+    assert.deepEqual(migrated.slice(0, 2), legacy);
+    assert.equal(migrated[2].mainBundleSize, 30);
+  });
+
+  it("refuses to read or rewrite files with unknown columns", async () => {
+    const path = outfile();
+    const csv = "Name,Size\nreport.pdf,100\n";
+    await writeFile(path, csv);
+
+    await assert.rejects(readBuildSizes(path), {
+      code: "OUTFILE_UNREADABLE",
+    });
+    await assert.rejects(save({ buildSize: 100 }, path), {
+      code: "OUTFILE_UNWRITABLE",
+    });
+    assert.equal(await readFile(path, "utf8"), csv);
+  });
+});
+
+describe("JSON Lines history", () => {
+  let dir;
+  let count = 0;
+  const outfile = (extension = "jsonl") =>
+    join(dir, `sizes-${(count += 1)}.${extension}`);
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("reads back the records with their details", async () => {
+    const path = outfile();
+    const buildSizes = { mainBundleName: "main.js", buildSize: 100 };
+    const fileReport = [{ name: "main.js", path: "main.js", size: 100 }];
+    await saveBuildSizes(buildSizes, path, {
+      git: false,
+      version: "1.2.3",
+      package: "@acme/app",
+      details: { path: "dist", fileReport },
+    });
+    await save({ buildSize: 200 }, path);
+
+    const [first, second] = await readBuildSizeRecords(path);
+    assert.deepEqual(first, {
+      schema: 1,
+      timestamp: first.timestamp,
+      package: "@acme/app",
+      version: "1.2.3",
+      buildSizes,
+      path: "dist",
+      fileReport,
+    });
+    assert.match(first.timestamp, /^\d{4}-\d{2}-\d{2}T/);
+    assert.deepEqual(second.buildSizes, { buildSize: 200 });
+
+    // the records are one JSON document per line
+    const lines = (await readFile(path, "utf8")).trim().split("\n");
+    assert.equal(lines.length, 2);
+  });
+
+  it("reads the records in the flat shape of a CSV row", async () => {
+    const path = outfile("ndjson");
+    await saveBuildSizes({ buildSize: 100 }, path, {
+      git: false,
+      version: "1.2.3",
+      package: "@acme/app",
+    });
+
+    const [saved] = await readBuildSizes(path);
+    assert.deepEqual(saved, {
+      Package: "@acme/app",
+      Version: "1.2.3",
+      Timestamp: saved.Timestamp,
+      buildSize: 100,
+    });
+  });
+
+  it("reads the rows of CSV files as records", async () => {
+    const path = outfile("csv");
+    await save({ mainBundleName: "main.js", buildSize: 100 }, path);
+
+    const [record] = await readBuildSizeRecords(path);
+    assert.deepEqual(record, {
+      schema: 1,
+      timestamp: record.timestamp,
+      version: "1.2.3",
+      buildSizes: { mainBundleName: "main.js", buildSize: 100 },
+    });
+  });
+
+  it("uses the format option regardless of the extension", async () => {
+    const path = outfile("log");
+    await saveBuildSizes({ buildSize: 100 }, path, {
+      git: false,
+      version: "",
+      format: "jsonl",
+    });
+
+    assert.match(await readFile(path, "utf8"), /^\{"schema":1,/);
+    const [record] = await readBuildSizeRecords(path, { format: "jsonl" });
+    assert.equal(record.buildSizes.buildSize, 100);
+  });
+
+  it("throws for lines that aren't JSON", async () => {
+    const path = outfile();
+    await writeFile(path, '{"schema":1,"buildSizes":{}}\nbuildSize,100\n');
+
+    await assert.rejects(readBuildSizeRecords(path), {
+      code: "OUTFILE_UNREADABLE",
+      message: /line 2/,
+    });
+  });
+
+  it("reads a missing file as an empty history", async () => {
+    assert.deepEqual(await readBuildSizeRecords(outfile()), []);
+  });
+});
+
+describe("getBuildSizeTrends", () => {
+  const records = [
+    { Timestamp: "1", buildSize: 100, buildSizeGzip: 40 },
+    { Timestamp: "2", buildSize: 300, buildSizeGzip: 50 },
+    { Timestamp: "3", buildSize: 200 },
+  ];
+
+  it("summarizes each metric of the builds that have it", () => {
+    const [buildSize] = getBuildSizeTrends(records);
+    assert.deepEqual(buildSize.values, [100, 300, 200]);
+    assert.equal(buildSize.latest, 200);
+    assert.equal(buildSize.min, 100);
+    assert.equal(buildSize.max, 300);
+    assert.equal(buildSize.trend.builds, 3);
+    assert.equal(buildSize.trend.delta, 100);
+    assert.deepEqual(
+      buildSize.regressions.map(({ delta, Timestamp }) => [delta, Timestamp]),
+      [[200, "2"]],
+    );
+  });
+
+  it("doesn't have a latest value when the newest build is missing the metric", () => {
+    const gzip = getBuildSizeTrends(records).find(
+      ({ metric }) => metric === "buildSizeGzip",
+    );
+    assert.deepEqual(gzip.values, [40, 50]);
+    assert.equal(gzip.latest, null);
+  });
+});
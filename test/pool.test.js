@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+import { after, afterEach, before, describe, it } from "node:test";
+import { Worker } from "node:worker_threads";
+import { compressFiles, mapLimit } from "../src/pool.js";
+
+describe("mapLimit", () => {
+  it("keeps the order of the items when they settle out of order", async () => {
+    let pending = 0;
+    let most = 0;
+    const results = await mapLimit([30, 10, 20, 0], 2, async (delay, index) => {
+      most = Math.max(most, (pending += 1));
+      await sleep(delay);
+      pending -= 1;
+      return `${index}:${delay}`;
+    });
+
+    assert.deepEqual(results, ["0:30", "1:10", "2:20", "3:0"]);
+    assert.equal(most, 2);
+  });
+});
+
+describe("compressFiles", () => {
+  let dir;
+  const paths = [];
+  const { postMessage } = Worker.prototype;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+    for (const name of ["a.js", "b.js", "c.js"]) {
+      const path = join(dir, name);
+      await writeFile(path, `console.log("${name}");\n`.repeat(name.length));
+      paths.push(path);
+    }
+  });
+
+  afterEach(() => {
+    Worker.prototype.postMessage = postMessage;
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("gets the same sizes on the worker threads as on the main thread", async () => {
+    assert.deepEqual(
+      await compressFiles(paths, {}, { concurrency: 2 }),
+      await compressFiles(paths, {}, { concurrency: 1 }),
+    );
+  });
+
+  it("fails when a file can't be compressed", async () => {
+    const missing = join(dir, "missing.js");
+    await assert.rejects(
+      compressFiles([...paths, missing], {}, { concurrency: 2 }),
+      { code: "COMPRESSION_FAILED", path: missing },
+    );
+  });
+
+  it("fails the job of a worker thread that exits", async () => {
+    // the workers exit as soon as they're given a job
+    Worker.prototype.postMessage = function () {
+      this.terminate();
+    };
+
+    await assert.rejects(compressFiles(paths, {}, { concurrency: 2 }), {
+      code: "COMPRESSION_FAILED",
+      message: /exited with code \d+ while compressing/,
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { getSourceMapReport } from "../src/index.js";
+import { decodeMappings, decodeVlq, getSegments } from "../src/sourcemap.js";
+
+describe("decodeVlq", () => {
+  it("decodes single digit values", () => {
+    assert.deepEqual(decodeVlq("AACD"), [0, 0, 1, -1]);
+  });
+
+  it("decodes values that continue in the next digits", () => {
+    assert.deepEqual(decodeVlq("gB"), [16]);
+    assert.deepEqual(decodeVlq("hB"), [-16]);
+    assert.deepEqual(decodeVlq("w+B"), [1000]);
+    assert.deepEqual(decodeVlq("AAgBC"), [0, 0, 16, 1]);
+  });
+
+  it("rejects characters that aren't base64", () => {
+    assert.throws(() => decodeVlq("A!"), /Invalid character "!"/);
+  });
+});
+
+describe("decodeMappings", () => {
+  it("resets the generated column on each line but not the other fields", () => {
+    const sources = ["a.js", "b.js"];
+    assert.deepEqual(decodeMappings("AAAA,ICAA;EAAA", sources), [
+      [
+        [0, "a.js"],
+        [4, "b.js"],
+      ],
+      [[2, "b.js"]],
+    ]);
+  });
+
+  it("doesn't map segments with a single field or unknown sources", () => {
+    assert.deepEqual(decodeMappings("AAAA,E,GEAA;", ["a.js"]), [
+      [
+        [0, "a.js"],
+        [2, null],
+        [5, null],
+      ],
+      [],
+    ]);
+  });
+});
+
+describe("getSegments", () => {
+  it("offsets the sections of index maps", () => {
+    const map = {
+      sections: [
+        {
+          offset: { line: 0, column: 0 },
+          map: { sources: ["a.js"], mappings: "AAAA" },
+        },
+        {
+          offset: { line: 0, column: 4 },
+          map: { sources: ["b.js"], mappings: "AAAA,EAAA;AAAA" },
+        },
+        { offset: { line: 2, column: 0 }, url: "c.js.map" },
+      ],
+    };
+
+    assert.deepEqual(getSegments(map), [
+      [
+        [0, "a.js"],
+        [4, "b.js"],
+        [6, "b.js"],
+      ],
+      [[0, "b.js"]],
+    ]);
+  });
+});
+
+describe("getSourceMapReport", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("attributes the bytes of an index map to packages and directories", async () => {
+    await writeFile(join(dir, "main.js"), "aaaabbbb\ncccc");
+    await writeFile(
+      join(dir, "main.js.map"),
+      JSON.stringify({
+        version: 3,
+        sections: [
+          {
+            offset: { line: 0, column: 0 },
+            map: { version: 3, sources: ["src/app/a.js"], mappings: "AAAA" },
+          },
+          {
+            offset: { line: 0, column: 4 },
+            map: {
+              version: 3,
+              sources: ["node_modules/lib/index.js"],
+              mappings: "AAAA;AAAA",
+            },
+          },
+        ],
+      }),
+    );
+
+    const [report] = await getSourceMapReport(dir, "js");
+    assert.equal(report.bundle, "main.js");
+    assert.equal(report.sourceMap, "main.js.map");
+    assert.equal(report.size, 13);
+    // the line break isn't mapped
+    assert.equal(report.mappedSize, 12);
+    assert.equal(report.unmappedSize, 1);
+    assert.deepEqual(
+      report.packages.map(({ name, size }) => [name, size]),
+      [["lib", 8]],
+    );
+    assert.deepEqual(
+      report.directories.map(({ name, size }) => [name, size]),
+      [["src/app", 4]],
+    );
+  });
+});
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+import { after, afterEach, before, describe, it } from "node:test";
+import { watchBuild } from "../src/watch.js";
+
+const DEBOUNCE = 50;
+
+// resolves once the condition is met, or rejects after a second
+const waitFor = async (condition) => {
+  for (let waited = 0; !condition(); waited += 10) {
+    if (waited > 1000) throw new Error("Timed out waiting for the watcher");
+    await sleep(10);
+  }
+};
+
+describe("watchBuild", () => {
+  let dir;
+  let watcher;
+  let count = 0;
+  const build = () => join(dir, `build-${(count += 1)}`);
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+  });
+
+  afterEach(() => watcher && watcher.close());
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  for (const recursive of [true, false]) {
+    const label = recursive ? "a recursive watcher" : "a watcher per directory";
+
+    it(`calls back once per burst of changes with ${label}`, async () => {
+      const path = build();
+      await mkdir(join(path, "assets"), { recursive: true });
+
+      let calls = 0;
+      watcher = watchBuild(path, async () => (calls += 1), {
+        debounce: DEBOUNCE,
+        recursive,
+      });
+
+      await writeFile(join(path, "assets", "main.js"), "a");
+      await writeFile(join(path, "assets", "main.css"), "b");
+      await waitFor(() => calls === 1);
+
+      // the build isn't measured again until it changes
+      await sleep(DEBOUNCE * 4);
+      assert.equal(calls, 1);
+
+      // files in new directories are watched too
+      await mkdir(join(path, "chunks"));
+      await waitFor(() => calls === 2);
+      await writeFile(join(path, "chunks", "lazy.js"), "c");
+      await waitFor(() => calls === 3);
+    });
+
+    it(`watches the build again after it's recreated with ${label}`, async () => {
+      const path = build();
+      await mkdir(path);
+
+      let calls = 0;
+      watcher = watchBuild(path, async () => (calls += 1), {
+        debounce: DEBOUNCE,
+        recursive,
+      });
+
+      await rm(path, { recursive: true });
+      // nothing is measured while the build is missing
+      await sleep(DEBOUNCE * 4);
+      assert.equal(calls, 0);
+
+      await mkdir(path);
+      await waitFor(() => calls === 1);
+      await writeFile(join(path, "main.js"), "a");
+      await waitFor(() => calls === 2);
+    });
+  }
+});
@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, afterEach, before, describe, it } from "node:test";
+import {
+  expandBuildPaths,
+  getPackageInfo,
+  getWorkspaceBuildPaths,
+} from "../src/workspaces.js";
+
+describe("expandBuildPaths", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+    for (const path of ["a/dist", "b/dist", "c/build", "app/[id]", "app/i"]) {
+      await mkdir(join(dir, path), { recursive: true });
+    }
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("expands glob patterns to the matching directories", async () => {
+    assert.deepEqual(await expandBuildPaths([join(dir, "*/dist")]), [
+      join(dir, "a/dist"),
+      join(dir, "b/dist"),
+    ]);
+  });
+
+  it("matches brackets literally", async () => {
+    const path = join(dir, "app/[id]");
+    assert.deepEqual(await expandBuildPaths([path]), [path]);
+  });
+
+  it("throws when a pattern doesn't match any directories", async () => {
+    await assert.rejects(expandBuildPaths([join(dir, "*/out")]), {
+      code: "BUILD_NOT_FOUND",
+    });
+  });
+});
+
+describe("getWorkspaceBuildPaths", () => {
+  let dir;
+  let count = 0;
+  const cwd = process.cwd();
+
+  // each test runs in its own monorepo, with a package.json file and build
+  // directory in each of the package directories
+  const monorepo = async (files, packages) => {
+    const root = join(dir, `monorepo-${(count += 1)}`);
+    await mkdir(root);
+    for (const [path, build] of Object.entries(packages)) {
+      await mkdir(join(root, path, build), { recursive: true });
+      await writeFile(
+        join(root, path, "package.json"),
+        JSON.stringify({ name: `@acme/${path.split("/").pop()}` }),
+      );
+    }
+    for (const [name, contents] of Object.entries(files)) {
+      await writeFile(join(root, name), contents);
+    }
+    process.chdir(root);
+  };
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+  });
+
+  afterEach(() => process.chdir(cwd));
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("finds the builds of the workspaces in the package.json file", async () => {
+    await monorepo(
+      {
+        "package.json": JSON.stringify({
+          workspaces: ["packages/*", "!packages/legacy"],
+        }),
+      },
+      {
+        "packages/app": "dist",
+        "packages/ui": "dist",
+        "packages/legacy": "dist",
+        // packages without the build directory are skipped
+        "packages/utils": "build",
+      },
+    );
+
+    assert.deepEqual(await getWorkspaceBuildPaths(["dist"]), [
+      join("packages", "app", "dist"),
+      join("packages", "ui", "dist"),
+    ]);
+  });
+
+  it("reads the packages of a pnpm-workspace.yaml file", async () => {
+    await monorepo(
+      {
+        "package.json": "{}",
+        "pnpm-workspace.yaml": [
+          "packages:",
+          '  - "apps/*" # the apps',
+          "  - libs/core",
+          "catalog:",
+          "  - ignored/*",
+        ].join("\n"),
+      },
+      { "apps/web": "dist", "libs/core": "dist", "ignored/pkg": "dist" },
+    );
+
+    assert.deepEqual(await getWorkspaceBuildPaths(["dist"]), [
+      join("apps", "web", "dist"),
+      join("libs", "core", "dist"),
+    ]);
+  });
+
+  it("throws without workspaces or builds", async () => {
+    await monorepo({ "package.json": "{}" }, {});
+    await assert.rejects(getWorkspaceBuildPaths(["dist"]), {
+      code: "WORKSPACES_NOT_FOUND",
+    });
+
+    await monorepo(
+      { "package.json": JSON.stringify({ workspaces: ["packages/*"] }) },
+      { "packages/app": "build" },
+    );
+    await assert.rejects(getWorkspaceBuildPaths(["dist"]), {
+      code: "BUILD_NOT_FOUND",
+    });
+  });
+});
+
+describe("getPackageInfo", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "build-sizes-"));
+    await mkdir(join(dir, "packages", "ui", "dist"), { recursive: true });
+    await writeFile(
+      join(dir, "packages", "ui", "package.json"),
+      JSON.stringify({ name: "@acme/ui", version: "1.9.3" }),
+    );
+    // only sets the module type of the build, so it's skipped
+    await writeFile(
+      join(dir, "packages", "ui", "dist", "package.json"),
+      JSON.stringify({ type: "module" }),
+    );
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("reads the closest package.json file with a name", async () => {
+    assert.deepEqual(
+      await getPackageInfo(join(dir, "packages", "ui", "dist")),
+      { name: "@acme/ui", version: "1.9.3" },
+    );
+  });
+});